@@ -0,0 +1,133 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+const core = require('@actions/core');
+const {
+  parseAutoLabelRules,
+  detectAutoLabelReleaseType,
+  primaryLabelName,
+  autoLabelPullRequest
+} = require('../src/autolabel');
+
+describe('autolabel', () => {
+  const inputs = {
+    majorLabel: 'major',
+    minorLabel: 'semver:minor, feat*',
+    patchLabel: 'patch',
+    prereleaseLabel: 'prerelease',
+    promoteLabel: 'release:promote',
+    graduateLabel: 'graduate-to-1.0',
+    skipReleaseLabel: 'skip-release',
+    commitReleaseTypes: 'feat:minor,fix:patch,perf:patch',
+    autoLabelRules: '/^\\[hotfix\\]/:patch\n/\\b(rc|beta)\\b/:prerelease'
+  };
+
+  function pullRequestContext(title, labels = []) {
+    return {
+      repo: { owner: 'octocat', repo: 'demo-repo' },
+      payload: { pull_request: { number: 7, title, labels: labels.map(name => ({ name })) } }
+    };
+  }
+
+  function octokitWithCommits(messages) {
+    return {
+      paginate: jest.fn(() => Promise.resolve(messages.map(message => ({ commit: { message } })))),
+      rest: {
+        pulls: { listCommits: jest.fn() },
+        issues: { addLabels: jest.fn(() => Promise.resolve({ data: [] })) }
+      }
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseAutoLabelRules', () => {
+    test('parses regex:type rules, splitting on the last colon', () => {
+      const rules = parseAutoLabelRules('/^BREAKING:/m:major\n^docs:patch\n');
+
+      expect(rules.map(rule => rule.releaseType)).toEqual(['major', 'patch']);
+      expect(rules[0].pattern.test('breaking: drop node 16')).toBe(true);
+      expect(rules[1].pattern.test('Docs: typo')).toBe(true);
+    });
+
+    test('rejects unknown release types and invalid regexes', () => {
+      expect(() => parseAutoLabelRules('^feat:feature')).toThrow(
+        'Invalid auto-label-rules entry: ^feat:feature. Expected regex:major|minor|patch|prerelease'
+      );
+      expect(() => parseAutoLabelRules('/(/:patch')).toThrow('Invalid auto-label-rules entry: /(/:patch.');
+    });
+  });
+
+  describe('detectAutoLabelReleaseType', () => {
+    test('uses Conventional Commit prefixes and the highest matching rule', () => {
+      expect(detectAutoLabelReleaseType(['feat(api): add search', 'fix: typo'], inputs)).toEqual({
+        releaseType: 'minor',
+        isPrerelease: false
+      });
+      expect(detectAutoLabelReleaseType(['[hotfix] patch the login', 'chore: rc build'], inputs)).toEqual({
+        releaseType: 'patch',
+        isPrerelease: true
+      });
+      expect(detectAutoLabelReleaseType(['refactor!: drop v1 api'], inputs).releaseType).toBe('major');
+    });
+  });
+
+  describe('primaryLabelName', () => {
+    test('returns the first plain label name', () => {
+      expect(primaryLabelName('feat*, semver:minor')).toBe('semver:minor');
+      expect(primaryLabelName('/^minor$/')).toBeNull();
+    });
+  });
+
+  describe('autoLabelPullRequest', () => {
+    test('applies the derived labels through the Issues API', async () => {
+      const context = pullRequestContext('feat: add search [beta]', ['docs']);
+      const octokit = octokitWithCommits(['fix: handle empty query']);
+
+      await expect(autoLabelPullRequest(octokit, context, inputs)).resolves.toEqual(['semver:minor', 'prerelease']);
+      expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.pulls.listCommits, {
+        owner: 'octocat',
+        repo: 'demo-repo',
+        pull_number: 7,
+        per_page: 100
+      });
+      expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith({
+        owner: 'octocat',
+        repo: 'demo-repo',
+        issue_number: 7,
+        labels: ['semver:minor', 'prerelease']
+      });
+      expect(context.payload.pull_request.labels.map(label => label.name)).toEqual([
+        'docs',
+        'semver:minor',
+        'prerelease'
+      ]);
+    });
+
+    test('never touches PRs that already carry a release or skip label', async () => {
+      for (const label of ['Major', 'feature-flag', 'skip-release', 'prerelease']) {
+        const octokit = octokitWithCommits(['feat!: breaking']);
+
+        const context = pullRequestContext('fix: typo', [label]);
+
+        await expect(autoLabelPullRequest(octokit, context, inputs)).resolves.toEqual([]);
+        expect(octokit.rest.issues.addLabels).not.toHaveBeenCalled();
+      }
+      expect(core.info).toHaveBeenCalledWith(
+        '🏷️ Pull request already has a release label, leaving labels untouched'
+      );
+    });
+
+    test('does nothing when no release type can be derived', async () => {
+      const octokit = octokitWithCommits(['chore: bump deps']);
+
+      await expect(autoLabelPullRequest(octokit, pullRequestContext('Update README'), inputs)).resolves.toEqual([]);
+      expect(octokit.rest.issues.addLabels).not.toHaveBeenCalled();
+    });
+  });
+});
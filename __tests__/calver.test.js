@@ -0,0 +1,42 @@
+const { parseCalVerFormat, formatCalVerPeriod } = require('../src/calver');
+
+describe('calver', () => {
+  describe('parseCalVerFormat', () => {
+    test('returns the two date tokens', () => {
+      expect(parseCalVerFormat('YYYY.MM.MICRO')).toEqual(['YYYY', 'MM']);
+      expect(parseCalVerFormat('YY.0M.MICRO')).toEqual(['YY', '0M']);
+    });
+
+    test('rejects formats without a trailing MICRO segment', () => {
+      expect(() => parseCalVerFormat('YYYY.MM.DD')).toThrow(
+        'Invalid calver-format: YYYY.MM.DD. Expected two date segments followed by MICRO (e.g., YYYY.MM.MICRO)'
+      );
+    });
+
+    test('rejects unknown tokens and wrong segment counts', () => {
+      expect(() => parseCalVerFormat('YYYY.QQ.MICRO')).toThrow('Invalid calver-format: YYYY.QQ.MICRO');
+      expect(() => parseCalVerFormat('YYYY.MICRO')).toThrow('Invalid calver-format: YYYY.MICRO');
+      expect(() => parseCalVerFormat('')).toThrow('Invalid calver-format: ');
+    });
+  });
+
+  describe('formatCalVerPeriod', () => {
+    const date = new Date(Date.UTC(2026, 0, 7));
+
+    test('formats year and month tokens with and without padding', () => {
+      expect(formatCalVerPeriod('YYYY.MM.MICRO', date)).toEqual(['2026', '1']);
+      expect(formatCalVerPeriod('YY.0M.MICRO', date)).toEqual(['26', '01']);
+      expect(formatCalVerPeriod('0Y.MM.MICRO', new Date(Date.UTC(2005, 10, 1)))).toEqual(['05', '11']);
+    });
+
+    test('formats day tokens', () => {
+      expect(formatCalVerPeriod('0M.0D.MICRO', date)).toEqual(['01', '07']);
+      expect(formatCalVerPeriod('MM.DD.MICRO', date)).toEqual(['1', '7']);
+    });
+
+    test('uses ISO weeks and the ISO week year for week formats', () => {
+      expect(formatCalVerPeriod('YYYY.WW.MICRO', date)).toEqual(['2026', '2']);
+      expect(formatCalVerPeriod('YYYY.0W.MICRO', new Date(Date.UTC(2024, 11, 30)))).toEqual(['2025', '01']);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { parseChannels, findChannel, filterChannelVersions } = require('../src/channels');
+
+describe('channels', () => {
+  describe('parseChannels', () => {
+    test('parses comma and newline separated branch:channel entries', () => {
+      expect(parseChannels('next:next,\nbeta/*:beta\nmain:stable\n')).toEqual([
+        { branch: 'next', name: 'next', prerelease: true },
+        { branch: 'beta/*', name: 'beta', prerelease: true },
+        { branch: 'main', name: 'stable', prerelease: false }
+      ]);
+    });
+
+    test('returns no channels for empty input', () => {
+      expect(parseChannels('')).toEqual([]);
+    });
+
+    test('rejects entries without a valid channel name', () => {
+      expect(() => parseChannels('next')).toThrow(
+        'Invalid channels entry: next. Expected branch:channel, e.g. next:next or main:stable'
+      );
+      expect(() => parseChannels('next:next.1')).toThrow('Invalid channels entry: next:next.1');
+    });
+  });
+
+  describe('findChannel', () => {
+    const channels = parseChannels('next:next,beta/**:beta,main:stable');
+
+    test('returns the first channel whose pattern matches the branch', () => {
+      expect(findChannel('beta/2.0/rc', channels)).toEqual({ branch: 'beta/2.0/rc', name: 'beta', prerelease: true });
+      expect(findChannel('main', channels)).toEqual({ branch: 'main', name: 'stable', prerelease: false });
+    });
+
+    test('returns null for unmapped branches', () => {
+      expect(findChannel('feature/x', channels)).toBeNull();
+    });
+  });
+
+  describe('filterChannelVersions', () => {
+    const versions = ['v1.3.0-next.2', 'v1.3.0-beta.4', 'v1.2.0', 'v1.2.0-next.1'];
+
+    test('keeps stable versions and prereleases of the same channel', () => {
+      expect(filterChannelVersions(versions, { name: 'next', prerelease: true })).toEqual([
+        'v1.3.0-next.2',
+        'v1.2.0',
+        'v1.2.0-next.1'
+      ]);
+    });
+
+    test('leaves versions alone for stable or missing channels', () => {
+      expect(filterChannelVersions(versions, { name: 'stable', prerelease: false })).toEqual(versions);
+      expect(filterChannelVersions(versions, null)).toEqual(versions);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { CHECK_NAME, formatReleaseCheck, resolveHeadSha, publishReleaseCheck } = require('../src/checks');
+
+describe('checks', () => {
+  const context = {
+    sha: 'merge-sha',
+    repo: { owner: 'octocat', repo: 'demo-repo' },
+    payload: { pull_request: { number: 7, head: { sha: 'head-sha' } } }
+  };
+
+  describe('formatReleaseCheck', () => {
+    const plan = {
+      latestTag: 'v1.2.3',
+      newTag: 'v2.0.0-rc.1',
+      releaseType: 'major',
+      isPrerelease: true,
+      reason: 'label `breaking-change`'
+    };
+
+    test('titles the check with the planned version and summarizes the bump reason', () => {
+      expect(formatReleaseCheck(plan)).toEqual({
+        conclusion: 'success',
+        title: 'Release v2.0.0-rc.1 (major)',
+        summary: [
+          '**Planned version:** `v2.0.0-rc.1`',
+          '**Previous version:** `v1.2.3`',
+          '**Release type:** major (prerelease)',
+          '**Reason:** label `breaking-change`'
+        ].join('\n')
+      });
+    });
+
+    test('reports skipped, empty and failing plans', () => {
+      expect(formatReleaseCheck({ ...plan, skipReason: 'Found [skip release] marker' })).toEqual(
+        expect.objectContaining({ conclusion: 'neutral', title: 'Release v2.0.0-rc.1 skipped' })
+      );
+      expect(formatReleaseCheck({ releaseType: 'none', reason: 'no release labels found' })).toEqual({
+        conclusion: 'neutral',
+        title: 'No release planned',
+        summary: 'No release planned: no release labels found.'
+      });
+      expect(formatReleaseCheck({ releaseType: 'none', failure: 'Add a label' })).toEqual({
+        conclusion: 'failure',
+        title: 'Release label required',
+        summary: 'Add a label'
+      });
+    });
+  });
+
+  describe('resolveHeadSha', () => {
+    test('prefers the PR head over the merge commit', () => {
+      expect(resolveHeadSha(context)).toBe('head-sha');
+      expect(resolveHeadSha({ ...context, payload: {} })).toBe('merge-sha');
+    });
+  });
+
+  describe('publishReleaseCheck', () => {
+    const check = { conclusion: 'failure', title: 'Release label required', summary: 'x'.repeat(200) };
+
+    test('creates a completed check run', async () => {
+      const octokit = { rest: { checks: { create: jest.fn(() => Promise.resolve({ data: { id: 3 } })) } } };
+
+      await expect(publishReleaseCheck(octokit, context, 'check-run', check)).resolves.toEqual({ id: 3 });
+      expect(octokit.rest.checks.create).toHaveBeenCalledWith({
+        owner: 'octocat',
+        repo: 'demo-repo',
+        name: CHECK_NAME,
+        head_sha: 'head-sha',
+        status: 'completed',
+        conclusion: 'failure',
+        output: { title: 'Release label required', summary: check.summary }
+      });
+    });
+
+    test('creates a commit status with a truncated description', async () => {
+      const octokit = { rest: { repos: { createCommitStatus: jest.fn(() => Promise.resolve({ data: { id: 4 } })) } } };
+
+      await publishReleaseCheck(octokit, context, 'commit-status', check);
+      await publishReleaseCheck(octokit, context, 'commit-status', {
+        conclusion: 'neutral',
+        title: 'No release planned'
+      });
+
+      expect(octokit.rest.repos.createCommitStatus).toHaveBeenNthCalledWith(1, {
+        owner: 'octocat',
+        repo: 'demo-repo',
+        sha: 'head-sha',
+        state: 'failure',
+        context: CHECK_NAME,
+        description: 'x'.repeat(140)
+      });
+      expect(octokit.rest.repos.createCommitStatus).toHaveBeenNthCalledWith(
+        2,
+        expect.objectContaining({ state: 'success', description: 'No release planned' })
+      );
+    });
+  });
+});
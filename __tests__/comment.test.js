@@ -0,0 +1,106 @@
+const { PLAN_COMMENT_MARKER, formatPlanComment, upsertPlanComment } = require('../src/comment');
+
+describe('comment', () => {
+  const context = {
+    repo: { owner: 'octocat', repo: 'demo-repo' },
+    payload: { pull_request: { number: 7 } }
+  };
+
+  function octokitWithComments(comments) {
+    return {
+      paginate: jest.fn(() => Promise.resolve(comments)),
+      rest: {
+        issues: {
+          listComments: jest.fn(),
+          createComment: jest.fn(() => Promise.resolve({ data: { id: 2 } })),
+          updateComment: jest.fn(() => Promise.resolve({ data: { id: 1 } }))
+        }
+      }
+    };
+  }
+
+  describe('formatPlanComment', () => {
+    test('shows the planned release and a notes preview', () => {
+      const body = formatPlanComment({
+        latestTag: 'v1.2.3',
+        newTag: 'v1.3.0-beta.1',
+        releaseType: 'minor',
+        isPrerelease: true,
+        reason: 'label `minor`',
+        releaseNotes: '## What\'s Changed\n\n- feat: search (abc123)'
+      });
+
+      expect(body.startsWith(`${PLAN_COMMENT_MARKER}\n### 📦 Release plan`)).toBe(true);
+      expect(body).toContain('| Planned version | `v1.3.0-beta.1` |');
+      expect(body).toContain('| Prerelease | yes |');
+      expect(body).toContain('<summary>Release notes preview</summary>\n\n## What\'s Changed');
+      expect(body).toContain('- feat: search (abc123)\n\n</details>');
+    });
+
+    test('explains skipped and empty plans', () => {
+      expect(formatPlanComment({
+        latestTag: 'v1.2.3',
+        newTag: 'v1.3.0',
+        releaseType: 'minor',
+        isPrerelease: false,
+        reason: 'label `minor`',
+        skipReason: 'Label "skip-release" requests no release'
+      })).toContain('⏭️ **This PR will not be released:** Label "skip-release" requests no release.');
+
+      expect(formatPlanComment({ latestTag: null, releaseType: 'none', reason: 'no release labels found' })).toBe(
+        [
+          PLAN_COMMENT_MARKER,
+          '### 📦 Release plan',
+          '',
+          'ℹ️ No release planned: no release labels found.',
+          '',
+          'Previous version: `none`'
+        ].join('\n')
+      );
+    });
+  });
+
+  describe('upsertPlanComment', () => {
+    test('updates the comment carrying the marker', async () => {
+      const octokit = octokitWithComments([
+        { id: 5, body: 'Looks good' },
+        { id: 1, body: `${PLAN_COMMENT_MARKER}\nold plan` }
+      ]);
+
+      await expect(upsertPlanComment(octokit, context, 'new plan')).resolves.toEqual({ id: 1 });
+      expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith({
+        owner: 'octocat',
+        repo: 'demo-repo',
+        comment_id: 1,
+        body: 'new plan'
+      });
+      expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    test('creates the comment when none exists yet', async () => {
+      const octokit = octokitWithComments([{ id: 5, body: null }]);
+
+      await upsertPlanComment(octokit, context, 'plan');
+
+      expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.issues.listComments, {
+        owner: 'octocat',
+        repo: 'demo-repo',
+        issue_number: 7,
+        per_page: 100
+      });
+      expect(octokit.rest.issues.createComment).toHaveBeenCalledWith({
+        owner: 'octocat',
+        repo: 'demo-repo',
+        issue_number: 7,
+        body: 'plan'
+      });
+    });
+
+    test('does nothing outside pull requests', async () => {
+      const octokit = octokitWithComments([]);
+
+      await expect(upsertPlanComment(octokit, { ...context, payload: {} }, 'plan')).resolves.toBeNull();
+      expect(octokit.paginate).not.toHaveBeenCalled();
+    });
+  });
+});
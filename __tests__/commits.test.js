@@ -0,0 +1,153 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('child_process', () => ({
+  execSync: jest.fn()
+}));
+
+const core = require('@actions/core');
+const { execSync } = require('child_process');
+const {
+  parseCommitReleaseTypes,
+  parseConventionalCommit,
+  getCommitsSince,
+  determineReleaseTypeFromCommits,
+  detectReleaseTypeFromCommits
+} = require('../src/commits');
+
+const defaultReleaseTypes = { feat: 'minor', fix: 'patch', perf: 'patch' };
+
+function gitLogOutput(messages) {
+  return messages.map((message, index) => `sha${index}\x1f${message}\x1e`).join('\n');
+}
+
+describe('commits', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseCommitReleaseTypes', () => {
+    test('parses comma and newline separated mappings', () => {
+      expect(parseCommitReleaseTypes('feat:minor, fix:patch\nRefactor:patch')).toEqual({
+        feat: 'minor',
+        fix: 'patch',
+        refactor: 'patch'
+      });
+    });
+
+    test('returns an empty mapping for empty input', () => {
+      expect(parseCommitReleaseTypes('')).toEqual({});
+    });
+
+    test('rejects unknown release types', () => {
+      expect(() => parseCommitReleaseTypes('feat:huge')).toThrow(
+        'Invalid commit-release-types entry: feat:huge'
+      );
+    });
+  });
+
+  describe('parseConventionalCommit', () => {
+    test('parses type, scope and subject', () => {
+      expect(parseConventionalCommit('feat(api): add endpoint')).toEqual({
+        type: 'feat',
+        scope: 'api',
+        breaking: false,
+        subject: 'add endpoint'
+      });
+    });
+
+    test('detects breaking change marker', () => {
+      expect(parseConventionalCommit('fix!: drop node 16').breaking).toBe(true);
+    });
+
+    test('detects BREAKING CHANGE footer', () => {
+      const message = 'refactor: rename option\n\nBREAKING CHANGE: `foo` is now `bar`';
+      expect(parseConventionalCommit(message).breaking).toBe(true);
+    });
+
+    test('returns null for non-conventional messages', () => {
+      expect(parseConventionalCommit('Merge pull request #12 from branch')).toBeNull();
+    });
+  });
+
+  describe('getCommitsSince', () => {
+    test('reads commits since the latest tag', () => {
+      execSync.mockReturnValue(gitLogOutput(['feat: one', 'fix: two\n\nbody']));
+
+      expect(getCommitsSince('v1.2.3')).toEqual([
+        { hash: 'sha0', message: 'feat: one' },
+        { hash: 'sha1', message: 'fix: two\n\nbody' }
+      ]);
+      expect(execSync).toHaveBeenCalledWith(
+        expect.stringContaining(' v1.2.3..HEAD'),
+        { encoding: 'utf8' }
+      );
+    });
+
+    test('restricts history to a package path', () => {
+      execSync.mockReturnValue('');
+
+      getCommitsSince('api@1.0.0', 'packages/api');
+
+      expect(execSync).toHaveBeenCalledWith(
+        expect.stringMatching(/ api@1\.0\.0\.\.HEAD -- "packages\/api"$/),
+        { encoding: 'utf8' }
+      );
+    });
+
+    test('reads full history when there is no previous tag', () => {
+      execSync.mockReturnValue('');
+
+      expect(getCommitsSince(null)).toEqual([]);
+      expect(execSync).toHaveBeenCalledWith(expect.stringMatching(/ HEAD$/), { encoding: 'utf8' });
+    });
+  });
+
+  describe('determineReleaseTypeFromCommits', () => {
+    test('returns the highest bump across commits', () => {
+      const commits = [
+        { message: 'fix: bug' },
+        { message: 'feat: feature' },
+        { message: 'docs: readme' }
+      ];
+      expect(determineReleaseTypeFromCommits(commits, defaultReleaseTypes)).toBe('minor');
+    });
+
+    test('maps breaking changes to major regardless of type', () => {
+      const commits = [{ message: 'chore!: drop support' }];
+      expect(determineReleaseTypeFromCommits(commits, defaultReleaseTypes)).toBe('major');
+    });
+
+    test('returns none when no commit maps to a release', () => {
+      const commits = [{ message: 'docs: readme' }, { message: 'update stuff' }];
+      expect(determineReleaseTypeFromCommits(commits, defaultReleaseTypes)).toBe('none');
+    });
+
+    test('honours custom mappings', () => {
+      const commits = [{ message: 'refactor: cleanup' }];
+      expect(determineReleaseTypeFromCommits(commits, { refactor: 'patch' })).toBe('patch');
+    });
+  });
+
+  describe('detectReleaseTypeFromCommits', () => {
+    test('combines git history with configured mapping', () => {
+      execSync.mockReturnValue(gitLogOutput(['perf: faster', 'fix: bug']));
+
+      expect(
+        detectReleaseTypeFromCommits('v1.0.0', { commitReleaseTypes: 'feat:minor,fix:patch,perf:patch' })
+      ).toBe('patch');
+      expect(core.info).toHaveBeenCalledWith('Found 2 commit(s) since v1.0.0');
+      expect(core.info).toHaveBeenCalledWith('Conventional Commits release type: patch');
+    });
+
+    test('mentions the package path when scanning a package', () => {
+      execSync.mockReturnValue(gitLogOutput(['feat: api']));
+
+      expect(detectReleaseTypeFromCommits(null, { commitReleaseTypes: 'feat:minor' }, 'packages/api')).toBe('minor');
+      expect(core.info).toHaveBeenCalledWith('Found 1 commit(s) touching packages/api since the first commit');
+    });
+  });
+});
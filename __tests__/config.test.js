@@ -0,0 +1,179 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('fs', () => ({
+  existsSync: jest.fn(),
+  readFileSync: jest.fn(),
+  writeFileSync: jest.fn()
+}));
+
+const core = require('@actions/core');
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { CONFIG_SCHEMA, applyConfigFile, validateConfiguration } = require('../src/config');
+
+function setupFiles(files) {
+  fs.existsSync.mockImplementation(filePath => filePath in files);
+  fs.readFileSync.mockImplementation(filePath => files[filePath]);
+}
+
+function defaultInputs(overrides = {}) {
+  return {
+    githubToken: 'token',
+    majorLabel: 'major',
+    packageManager: 'npm',
+    executionMode: 'auto-detect',
+    versionSource: 'labels',
+    commitReleaseTypes: 'feat:minor,fix:patch,perf:patch',
+    versioningScheme: 'semver',
+    calverFormat: 'YYYY.MM.MICRO',
+    prereleaseNumber: '1',
+    nodeVersion: '24',
+    baseRelease: true,
+    prComment: false,
+    versionFiles: '',
+    channels: '',
+    statusCheck: 'none',
+    ...overrides
+  };
+}
+
+describe('config', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('CONFIG_SCHEMA', () => {
+    test('mirrors the input defaults declared in action.yml', () => {
+      const { readFileSync } = jest.requireActual('fs');
+      const action = yaml.load(readFileSync(`${__dirname}/../action.yml`, 'utf8'));
+
+      for (const [key, { type, default: defaultValue }] of Object.entries(CONFIG_SCHEMA)) {
+        const declared = action.inputs[key].default ?? '';
+        expect([key, type === 'boolean' ? declared === 'true' : declared]).toEqual([key, defaultValue]);
+      }
+    });
+  });
+
+  describe('applyConfigFile', () => {
+    test('does nothing without a config file', () => {
+      setupFiles({});
+      const inputs = defaultInputs();
+
+      expect(applyConfigFile(inputs, '')).toBeNull();
+      expect(inputs).toEqual(defaultInputs());
+    });
+
+    test('merges .github/semantic-release.yml into inputs left at their defaults', () => {
+      setupFiles({
+        '.github/semantic-release.yml': [
+          'major-label: [breaking, semver:major]',
+          'prerelease-number: 0',
+          'node-version: 22',
+          'base_release: false',
+          'pr-comment: true',
+          'channels:',
+          '  - next:next',
+          '  - main:stable',
+          'version-files:',
+          '  - path: pyproject.toml',
+          '    format: toml',
+          '    key: project.version'
+        ].join('\n')
+      });
+      const inputs = defaultInputs({ nodeVersion: '20' });
+
+      expect(applyConfigFile(inputs, '')).toBe('.github/semantic-release.yml');
+      expect(inputs).toEqual(defaultInputs({
+        majorLabel: 'breaking\nsemver:major',
+        prereleaseNumber: '0',
+        nodeVersion: '20',
+        baseRelease: false,
+        prComment: true,
+        channels: 'next:next\nmain:stable',
+        versionFiles: '[{"path":"pyproject.toml","format":"toml","key":"project.version"}]'
+      }));
+      expect(core.info).toHaveBeenCalledWith(
+        'Workflow input node-version overrides the value in .github/semantic-release.yml'
+      );
+      expect(core.info).toHaveBeenCalledWith('⚙️ Loaded configuration from .github/semantic-release.yml');
+    });
+
+    test('reads an explicit JSON config file', () => {
+      setupFiles({ 'release.json': '{"status-check": "check-run"}' });
+      const inputs = defaultInputs();
+
+      expect(applyConfigFile(inputs, 'release.json')).toBe('release.json');
+      expect(inputs.statusCheck).toBe('check-run');
+    });
+
+    test('fails when an explicit config file is missing', () => {
+      setupFiles({});
+
+      expect(() => applyConfigFile(defaultInputs(), 'release.yml')).toThrow('Config file not found: release.yml');
+    });
+
+    test('reports unknown keys, workflow-only keys and wrong types together', () => {
+      setupFiles({
+        '.github/semantic-release.json': JSON.stringify({
+          'majr-label': 'major',
+          prereleaseSuffix: 'rc',
+          'github-token': 'secret',
+          'pr-comment': 'yes',
+          channels: [{ next: 'next' }],
+          colour: 'blue'
+        })
+      });
+
+      expect(() => applyConfigFile(defaultInputs(), '')).toThrow(
+        'Invalid config file .github/semantic-release.json: ' +
+        'unknown key "majr-label" (did you mean "major-label"?); ' +
+        'unknown key "prereleaseSuffix" (did you mean "prerelease-suffix"?); ' +
+        'github-token can only be set as a workflow input; ' +
+        'pr-comment must be true or false; ' +
+        'channels must be a string or a list of strings; ' +
+        'unknown key "colour"'
+      );
+    });
+
+    test('rejects malformed files and non-mapping documents', () => {
+      setupFiles({ '.github/semantic-release.json': '{"channels": ' });
+      expect(() => applyConfigFile(defaultInputs(), '')).toThrow('Invalid config file .github/semantic-release.json: ');
+
+      setupFiles({ '.github/semantic-release.yml': '- major-label' });
+      expect(() => applyConfigFile(defaultInputs(), '')).toThrow(
+        'Invalid config file .github/semantic-release.yml: expected a mapping of input names to values'
+      );
+    });
+  });
+
+  describe('validateConfiguration', () => {
+    test('accepts valid configuration', () => {
+      expect(() => validateConfiguration(defaultInputs({ channels: 'next:next' }))).not.toThrow();
+    });
+
+    test('checks input values before structured inputs', () => {
+      expect(() => validateConfiguration(defaultInputs({ versionSource: 'tags' }))).toThrow(
+        'Invalid inputs: version-source must be one of: labels, commits'
+      );
+    });
+
+    test('collects errors from every structured input', () => {
+      expect(() =>
+        validateConfiguration(defaultInputs({
+          versioningScheme: 'calver',
+          calverFormat: 'YYYY.MICRO',
+          channels: 'next',
+          versionFiles: '{}'
+        }))
+      ).toThrow(
+        'Invalid configuration: Invalid calver-format: YYYY.MICRO. Expected two date segments followed by MICRO ' +
+        '(e.g., YYYY.MM.MICRO); Invalid version-files: expected a JSON array; ' +
+        'Invalid channels entry: next. Expected branch:channel, e.g. next:next or main:stable'
+      );
+    });
+  });
+});
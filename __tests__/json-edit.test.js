@@ -0,0 +1,56 @@
+const { locateJsonString, replaceJsonString, lineNumberAt } = require('../src/json-edit');
+
+describe('json-edit', () => {
+  describe('locateJsonString', () => {
+    test('finds top-level string values', () => {
+      const content = '{\n  "name": "demo",\n  "version": "1.2.3"\n}\n';
+      const range = locateJsonString(content, ['version']);
+
+      expect(content.slice(range.start, range.end)).toBe('1.2.3');
+      expect(lineNumberAt(content, range.start)).toBe(3);
+    });
+
+    test('ignores nested keys with the same name', () => {
+      const content = JSON.stringify({
+        name: 'demo',
+        config: { version: '0.0.1', list: [{ version: '9' }, '}'] },
+        'weird\\"key': '{',
+        version: '1.2.3'
+      }, null, 2);
+      const range = locateJsonString(content, ['version']);
+
+      expect(content.slice(range.start, range.end)).toBe('1.2.3');
+    });
+
+    test('follows nested key paths, including keys with slashes', () => {
+      const content = '{"packages":{"":{"version":"1.0.0"},"packages/api":{"version":"2.0.0"}}}';
+      const range = locateJsonString(content, ['packages', 'packages/api', 'version']);
+
+      expect(content.slice(range.start, range.end)).toBe('2.0.0');
+    });
+
+    test('returns null for missing or non-string values', () => {
+      expect(locateJsonString('{"name":"demo"}', ['version'])).toBeNull();
+      expect(locateJsonString('{"version":1}', ['version'])).toBeNull();
+      expect(locateJsonString('[]', ['version'])).toBeNull();
+    });
+
+    test('throws for malformed JSON', () => {
+      expect(() => locateJsonString('{', ['version'])).toThrow();
+    });
+  });
+
+  describe('replaceJsonString', () => {
+    test('only touches the value and keeps tabs, CRLF and missing trailing newline', () => {
+      const content = '{\r\n\t"name": "demo",\r\n\t"version":"1.2.3",\r\n\t"scripts": {"test": "jest"}\r\n}';
+
+      expect(replaceJsonString(content, ['version'], '1.3.0')).toBe(
+        '{\r\n\t"name": "demo",\r\n\t"version":"1.3.0",\r\n\t"scripts": {"test": "jest"}\r\n}'
+      );
+    });
+
+    test('returns null when the key is missing', () => {
+      expect(replaceJsonString('{}', ['version'], '1.0.0')).toBeNull();
+    });
+  });
+});
@@ -28,20 +28,74 @@ jest.mock('fs', () => ({
 }));
 
 jest.mock('../src/utils', () => ({
+  ...jest.requireActual('../src/utils'),
   detectTriggerMode: jest.fn(),
   detectExecutionMode: jest.fn(),
   parseLabels: jest.fn()
 }));
 
 jest.mock('../src/version', () => ({
+  ...jest.requireActual('../src/version'),
   calculateVersion: jest.fn(),
+  findPrereleasesOf: jest.fn(),
   updatePackageJson: jest.fn(),
   verifyPackageJsonVersion: jest.fn()
 }));
 
 jest.mock('../src/release', () => ({
   createRelease: jest.fn(),
-  createMajorRelease: jest.fn()
+  createMajorRelease: jest.fn(),
+  listRepositoryTags: jest.fn(),
+  listReleaseTags: jest.fn(() => Promise.resolve([])),
+  aggregatePrereleaseNotes: jest.fn()
+}));
+
+jest.mock('../src/commits', () => ({
+  ...jest.requireActual('../src/commits'),
+  detectReleaseTypeFromCommits: jest.fn()
+}));
+
+jest.mock('../src/pulls', () => ({
+  ...jest.requireActual('../src/pulls'),
+  listMergedPullRequestsSince: jest.fn()
+}));
+
+jest.mock('../src/comment', () => ({
+  ...jest.requireActual('../src/comment'),
+  upsertPlanComment: jest.fn()
+}));
+
+jest.mock('../src/checks', () => ({
+  ...jest.requireActual('../src/checks'),
+  publishReleaseCheck: jest.fn()
+}));
+
+jest.mock('../src/autolabel', () => ({
+  ...jest.requireActual('../src/autolabel'),
+  autoLabelPullRequest: jest.fn()
+}));
+
+jest.mock('../src/policy', () => ({
+  ...jest.requireActual('../src/policy'),
+  enforceReleasePolicy: jest.fn()
+}));
+
+jest.mock('../src/version-files', () => ({
+  ...jest.requireActual('../src/version-files'),
+  updateVersionFile: jest.fn(),
+  verifyVersionFile: jest.fn()
+}));
+
+jest.mock('../src/package-sync', () => ({
+  syncLockfiles: jest.fn(() => []),
+  updateWorkspaceDependencies: jest.fn(() => [])
+}));
+
+jest.mock('../src/monorepo', () => ({
+  parsePackages: jest.fn(),
+  listPullRequestFiles: jest.fn(),
+  isPathTouched: jest.fn(),
+  hasCommitsTouchingPath: jest.fn()
 }));
 
 const core = require('@actions/core');
@@ -51,6 +105,15 @@ const fs = require('fs');
 const utils = require('../src/utils');
 const version = require('../src/version');
 const release = require('../src/release');
+const commits = require('../src/commits');
+const monorepo = require('../src/monorepo');
+const policy = require('../src/policy');
+const versionFiles = require('../src/version-files');
+const packageSync = require('../src/package-sync');
+const pulls = require('../src/pulls');
+const comment = require('../src/comment');
+const checks = require('../src/checks');
+const autolabel = require('../src/autolabel');
 const { run } = require('../src/main');
 
 function setupCoreInputs(overrides = {}, booleanOverrides = {}) {
@@ -74,6 +137,11 @@ function setupCoreInputs(overrides = {}, booleanOverrides = {}) {
     'git-user-email': 'github-actions[bot]@users.noreply.github.com',
     'trigger-mode': 'auto-detect',
     'execution-mode': 'auto-detect',
+    'tag-format': '{prefix}{major}.{minor}.{patch}',
+    'tag-prefix': 'v',
+    'zero-major-base-tag': 'major',
+    'version-source': 'labels',
+    'commit-release-types': 'feat:minor,fix:patch,perf:patch',
     ...overrides
   };
 
@@ -84,6 +152,8 @@ function setupCoreInputs(overrides = {}, booleanOverrides = {}) {
     'auto-generate-notes': true,
     'update-package-json': true,
     'commit-changes': true,
+    'version-output-prefix': true,
+    'fail-on-conflicting-labels': true,
     ...booleanOverrides
   };
 
@@ -158,6 +228,106 @@ describe('main.run', () => {
     expect(release.createRelease).not.toHaveBeenCalled();
   });
 
+  test('outputs the label that selected the release type', async () => {
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'major', isPrerelease: false, matchedLabel: 'breaking-change' });
+    version.calculateVersion.mockReturnValue('v2.0.0');
+    release.createRelease.mockResolvedValue({
+      id: 4,
+      html_url: 'https://example.com/releases/v2.0.0'
+    });
+    release.createMajorRelease.mockResolvedValue(null);
+
+    await run();
+
+    expect(core.setOutput).toHaveBeenCalledWith('matched-label', 'breaking-change');
+    expect(core.setOutput).toHaveBeenCalledWith('release-type', 'major');
+  });
+
+  test('derives the release type from Conventional Commits when version-source is commits', async () => {
+    setupCoreInputs({ 'version-source': 'commits' });
+
+    utils.detectTriggerMode.mockReturnValue('push-main');
+    utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false });
+    commits.detectReleaseTypeFromCommits.mockReturnValue('minor');
+    version.calculateVersion.mockReturnValue('v1.3.0');
+    release.createRelease.mockResolvedValue({
+      id: 5,
+      html_url: 'https://example.com/releases/v1.3.0'
+    });
+    release.createMajorRelease.mockResolvedValue(null);
+
+    await run();
+
+    expect(commits.detectReleaseTypeFromCommits).toHaveBeenCalledWith(
+      'v1.2.3',
+      expect.objectContaining({ commitReleaseTypes: 'feat:minor,fix:patch,perf:patch' }),
+      null
+    );
+    expect(version.calculateVersion).toHaveBeenCalledWith(
+      'v1.2.3',
+      'minor',
+      false,
+      expect.any(Object),
+      ['v1.2.3']
+    );
+    expect(core.setOutput).toHaveBeenCalledWith('released', 'true');
+  });
+
+  test('skips release when no commits qualify for a release', async () => {
+    setupCoreInputs({ 'version-source': 'commits' });
+
+    utils.detectTriggerMode.mockReturnValue('push-main');
+    utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false });
+    commits.detectReleaseTypeFromCommits.mockReturnValue('none');
+
+    await run();
+
+    expect(core.info).toHaveBeenCalledWith('ℹ️ No releasable commits found. Skipping release creation.');
+    expect(core.setOutput).toHaveBeenCalledWith('released', 'false');
+    expect(version.calculateVersion).not.toHaveBeenCalled();
+  });
+
+  test('keeps an explicit manual or workflow_call release type when version-source is commits', async () => {
+    release.createRelease.mockResolvedValue({ id: 6, html_url: 'https://example.com/releases/v2.0.0' });
+    release.createMajorRelease.mockResolvedValue(null);
+    version.calculateVersion.mockReturnValue('v2.0.0');
+
+    setupCoreInputs({ 'version-source': 'commits', 'manual-release-type': 'major' });
+    utils.detectTriggerMode.mockReturnValue('manual');
+    utils.parseLabels.mockReturnValue({ releaseType: 'major', isPrerelease: false });
+    await run();
+
+    setupCoreInputs({ 'version-source': 'commits', 'release-type': 'major' });
+    utils.detectTriggerMode.mockReturnValue('workflow-call');
+    await run();
+
+    expect(commits.detectReleaseTypeFromCommits).not.toHaveBeenCalled();
+    expect(version.calculateVersion).toHaveBeenCalledTimes(2);
+    expect(version.calculateVersion).toHaveBeenCalledWith('v1.2.3', 'major', false, expect.any(Object), ['v1.2.3']);
+  });
+
+  test('detects commits on manual runs without an explicit release type', async () => {
+    setupCoreInputs({ 'version-source': 'commits' });
+    utils.detectTriggerMode.mockReturnValue('manual');
+    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+    commits.detectReleaseTypeFromCommits.mockReturnValue('none');
+
+    await run();
+
+    expect(commits.detectReleaseTypeFromCommits).toHaveBeenCalled();
+    expect(version.calculateVersion).not.toHaveBeenCalled();
+  });
+
+  test('ignores commits when version-source is labels', async () => {
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false });
+
+    await run();
+
+    expect(commits.detectReleaseTypeFromCommits).not.toHaveBeenCalled();
+  });
+
   test('executes full stable release flow and syncs major tag without second release', async () => {
     setupCoreInputs({ 'working-directory': './project-dir' });
     setupFs({ packageJson: true, actionYml: true });
@@ -347,6 +517,89 @@ describe('main.run', () => {
     expect(execSync).toHaveBeenCalledWith('git push origin "v1.2.4"');
   });
 
+  test('updates configured version files and stages them with the release commit', async () => {
+    const entries = [
+      { path: 'pyproject.toml', format: 'toml', key: 'project.version' },
+      { path: 'pom.xml', format: 'xml', xpath: '/project/version', mode: 'verify' }
+    ];
+    setupCoreInputs({ 'version-files': JSON.stringify(entries) });
+    setupFs({ packageJson: true, actionYml: true });
+    setupExecSync({ stagedChanges: true });
+
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+    version.calculateVersion.mockReturnValue('v1.2.4');
+    release.createRelease.mockResolvedValue({
+      id: 111,
+      html_url: 'https://example.com/releases/v1.2.4'
+    });
+
+    await run();
+
+    expect(versionFiles.updateVersionFile).toHaveBeenCalledWith(entries[0], 'v1.2.4');
+    expect(versionFiles.verifyVersionFile).toHaveBeenCalledWith(entries[1], 'v1.2.4');
+    expect(execSync).toHaveBeenCalledWith('git add "pyproject.toml"', { stdio: 'inherit' });
+    expect(execSync).not.toHaveBeenCalledWith('git add "pom.xml"', { stdio: 'inherit' });
+  });
+
+  test('syncs lockfiles and workspace dependencies and stages them with package.json', async () => {
+    setupCoreInputs({}, { 'update-workspace-dependencies': true });
+    setupFs({ packageJson: true, actionYml: true });
+    setupExecSync({ stagedChanges: true });
+    packageSync.syncLockfiles.mockReturnValueOnce(['package-lock.json']);
+    packageSync.updateWorkspaceDependencies.mockReturnValueOnce(['packages/web/package.json', 'package-lock.json']);
+
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'minor', isPrerelease: false });
+    version.calculateVersion.mockReturnValue('v1.3.0');
+    release.createRelease.mockResolvedValue({
+      id: 112,
+      html_url: 'https://example.com/releases/v1.3.0'
+    });
+
+    await run();
+
+    expect(packageSync.syncLockfiles).toHaveBeenCalledWith('package.json', 'v1.3.0');
+    expect(packageSync.updateWorkspaceDependencies).toHaveBeenCalledWith('package.json', 'v1.3.0');
+    const stagedFiles = execSync.mock.calls
+      .map(([command]) => command)
+      .filter(command => command.startsWith('git add "'));
+    expect(stagedFiles).toEqual([
+      'git add "dist/"',
+      'git add "coverage/"',
+      'git add "package.json"',
+      'git add "package-lock.json"',
+      'git add "packages/web/package.json"'
+    ]);
+  });
+
+  test('does not touch lockfiles when package.json is only verified', async () => {
+    setupCoreInputs({ 'package-json-mode': 'verify' }, { 'update-workspace-dependencies': true });
+    utils.detectTriggerMode.mockReturnValue('pr-open');
+    utils.detectExecutionMode.mockReturnValue('validate');
+    utils.parseLabels.mockReturnValue({ releaseType: 'minor', isPrerelease: false });
+    version.calculateVersion.mockReturnValue('v1.3.0');
+
+    await run();
+
+    expect(packageSync.syncLockfiles).not.toHaveBeenCalled();
+    expect(packageSync.updateWorkspaceDependencies).not.toHaveBeenCalled();
+  });
+
+  test('fails before building when version-files is invalid', async () => {
+    setupCoreInputs({ 'version-files': '[{"path": "VERSION", "format": "ini"}]' });
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+    version.calculateVersion.mockReturnValue('v1.2.4');
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Invalid configuration: Invalid version-files[0]: format must be one of: json, toml, yaml, xml, regex'
+    );
+    expect(execSync).not.toHaveBeenCalledWith('npm ci', { stdio: 'inherit' });
+  });
+
   test('release-only creates the tag and GitHub release without package.json handling or local checks', async () => {
     setupCoreInputs(
       {
@@ -402,72 +655,1471 @@ describe('main.run', () => {
     expect(core.setOutput).toHaveBeenCalledWith('released', 'true');
   });
 
-  test('does not create major release for prereleases', async () => {
+  test('passes existing version tags to version calculation for prerelease counters', async () => {
+    setupExecSync({ latestTags: 'v1.3.0-beta.1\nv1.2.3\nv1' });
     utils.detectTriggerMode.mockReturnValue('pr-merge');
-    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: true });
-    version.calculateVersion.mockReturnValue('v1.2.4-beta.1');
+    utils.parseLabels.mockReturnValue({ releaseType: 'minor', isPrerelease: true });
+    version.calculateVersion.mockReturnValue('v1.3.0-beta.2');
     release.createRelease.mockResolvedValue({
-      id: 100,
-      html_url: 'https://example.com/releases/v1.2.4-beta.1'
+      id: 104,
+      html_url: 'https://example.com/releases/v1.3.0-beta.2'
+    });
+
+    await run();
+
+    expect(version.calculateVersion).toHaveBeenCalledWith(
+      'v1.3.0-beta.1',
+      'minor',
+      true,
+      expect.any(Object),
+      ['v1.3.0-beta.1', 'v1.2.3']
+    );
+  });
+
+  test('promotes a prerelease with aggregated prerelease notes', async () => {
+    setupExecSync({ latestTags: 'v2.0.0-rc.2\nv2.0.0-rc.1\nv1.4.0\nv1' });
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'promote', isPrerelease: false });
+    version.calculateVersion.mockReturnValue('v2.0.0');
+    version.findPrereleasesOf.mockReturnValue(['v2.0.0-rc.1', 'v2.0.0-rc.2']);
+    release.aggregatePrereleaseNotes.mockResolvedValue('### v2.0.0-rc.1\n\n- feat: one');
+    release.createRelease.mockResolvedValue({
+      id: 105,
+      html_url: 'https://example.com/releases/v2.0.0'
     });
+    release.createMajorRelease.mockResolvedValue({ tag: 'v2', version: 'v2.0.0' });
 
     await run();
 
+    expect(version.findPrereleasesOf).toHaveBeenCalledWith('v2.0.0', ['v2.0.0-rc.2', 'v2.0.0-rc.1', 'v1.4.0']);
+    expect(release.aggregatePrereleaseNotes).toHaveBeenCalledWith(
+      { rest: {} },
+      github.context,
+      ['v2.0.0-rc.1', 'v2.0.0-rc.2']
+    );
     expect(release.createRelease).toHaveBeenCalledWith(
       { rest: {} },
       github.context,
       expect.objectContaining({
-        tagName: 'v1.2.4-beta.1',
-        prerelease: true
+        tagName: 'v2.0.0',
+        prerelease: false,
+        body: expect.stringContaining('## Included Prereleases\n\n### v2.0.0-rc.1\n\n- feat: one')
       })
     );
-    expect(release.createMajorRelease).not.toHaveBeenCalled();
-    expect(core.setOutput).toHaveBeenCalledWith('is-prerelease', 'true');
+    expect(release.createMajorRelease).toHaveBeenCalledWith(
+      { rest: {} },
+      github.context,
+      expect.objectContaining({ majorVersion: 'v2', fullVersion: 'v2.0.0' })
+    );
   });
 
-  test('uses plain release notes when auto-generate-notes is disabled', async () => {
-    setupCoreInputs({}, { 'auto-generate-notes': false });
+  test('orders version tags by SemVer precedence and ignores non-semver tags', async () => {
+    setupExecSync({ latestTags: 'v1\nv1.3.0-beta.2\nv1.3.0-beta.10\nv1.2.3+build.5\nvnext\n1.9.9\nv1.3.0-beta.1' });
     utils.detectTriggerMode.mockReturnValue('pr-merge');
-    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
-    version.calculateVersion.mockReturnValue('v1.2.4');
+    utils.parseLabels.mockReturnValue({ releaseType: 'minor', isPrerelease: true });
+    version.calculateVersion.mockReturnValue('v1.3.0-beta.11');
     release.createRelease.mockResolvedValue({
-      id: 101,
-      html_url: 'https://example.com/releases/v1.2.4'
+      id: 106,
+      html_url: 'https://example.com/releases/v1.3.0-beta.11'
     });
-    release.createMajorRelease.mockResolvedValue(null);
 
     await run();
 
+    expect(version.calculateVersion).toHaveBeenCalledWith(
+      'v1.3.0-beta.10',
+      'minor',
+      true,
+      expect.any(Object),
+      ['v1.3.0-beta.10', 'v1.3.0-beta.2', 'v1.3.0-beta.1', 'v1.2.3+build.5']
+    );
+  });
+
+  test('uses the configured tag prefix for lookup, tags, releases and base tags', async () => {
+    setupCoreInputs({ 'tag-prefix': 'api@' });
+    setupExecSync({ latestTags: 'web@3.0.0\napi@1.2.3\napi@1\nv9.9.9' });
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'minor', isPrerelease: false });
+    version.calculateVersion.mockReturnValue('v1.3.0');
+    release.createRelease.mockResolvedValue({
+      id: 107,
+      html_url: 'https://example.com/releases/api@1.3.0'
+    });
+    release.createMajorRelease.mockResolvedValue({ tag: 'api@1', version: 'api@1.3.0' });
+
+    await run();
+
+    expect(version.calculateVersion).toHaveBeenCalledWith('v1.2.3', 'minor', false, expect.any(Object), ['v1.2.3']);
+    expect(execSync).toHaveBeenCalledWith('git tag -a "api@1.3.0" -m "Release api@1.3.0"');
+    expect(execSync).toHaveBeenCalledWith('git push origin "api@1.3.0"');
     expect(release.createRelease).toHaveBeenCalledWith(
       { rest: {} },
       github.context,
       expect.objectContaining({
-        body: 'Release v1.2.4'
+        tagName: 'api@1.3.0',
+        name: 'api@1.3.0',
+        body: expect.stringContaining('/compare/api@1.2.3...api@1.3.0')
       })
     );
+    expect(release.createMajorRelease).toHaveBeenCalledWith(
+      { rest: {} },
+      github.context,
+      expect.objectContaining({ majorVersion: 'api@1', fullVersion: 'api@1.3.0' })
+    );
+    expect(core.setOutput).toHaveBeenCalledWith('version', 'api@1.3.0');
+    expect(core.setOutput).toHaveBeenCalledWith('tag-name', 'api@1.3.0');
   });
 
-  test('falls back to v0.0.0 when tag discovery fails', async () => {
-    setupExecSync({ throwOnFetch: true });
+  test('emits the version output without prefix when version-output-prefix is false', async () => {
+    setupCoreInputs({ 'tag-prefix': '' }, { 'version-output-prefix': false });
+    setupExecSync({ latestTags: '1.2.3\nv5.0.0' });
     utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.detectExecutionMode.mockReturnValue('validate');
     utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
-    version.calculateVersion.mockReturnValue('v0.0.1');
-    release.createRelease.mockResolvedValue({
-      id: 1,
-      html_url: 'https://example.com/releases/v0.0.1'
-    });
-    release.createMajorRelease.mockResolvedValue(null);
+    version.calculateVersion.mockReturnValue('v1.2.4');
 
     await run();
 
-    expect(core.setOutput).toHaveBeenCalledWith('previous-version', 'v0.0.0');
-    expect(release.createRelease).toHaveBeenCalledWith(
+    expect(version.calculateVersion).toHaveBeenCalledWith('v1.2.3', 'patch', false, expect.any(Object), ['v1.2.3']);
+    expect(core.setOutput).toHaveBeenCalledWith('version', '1.2.4');
+    expect(core.setOutput).toHaveBeenCalledWith('previous-version', '1.2.3');
+    expect(core.setOutput).toHaveBeenCalledWith('tag-name', '1.2.4');
+  });
+
+  test('enforces the release policy before calculating a version', async () => {
+    setupCoreInputs({ 'max-release-types': 'main:minor', 'major-approval-label': 'major-approved' });
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'major', isPrerelease: false });
+    policy.enforceReleasePolicy.mockRejectedValueOnce(
+      new Error('Release type major is not allowed on branch main (maximum: minor)')
+    );
+
+    await run();
+
+    expect(policy.enforceReleasePolicy).toHaveBeenCalledWith(
       { rest: {} },
       github.context,
       expect.objectContaining({
-        body: expect.not.stringContaining('Full Changelog')
-      })
+        maxReleaseTypes: 'main:minor',
+        majorApprovalLabel: 'major-approved',
+        failOnConflictingLabels: true
+      }),
+      'pr-merge',
+      'major',
+      null
     );
+    expect(version.calculateVersion).not.toHaveBeenCalled();
+    expect(release.createRelease).not.toHaveBeenCalled();
+    expect(core.setFailed).toHaveBeenCalledWith('Release type major is not allowed on branch main (maximum: minor)');
+  });
+
+  test('skips the release policy when there is nothing to release', async () => {
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false });
+
+    await run();
+
+    expect(policy.enforceReleasePolicy).not.toHaveBeenCalled();
+  });
+
+  describe('maintenance branches', () => {
+    beforeEach(() => {
+      setupCoreInputs({ 'maintenance-branches': 'release/{major}.x\nrelease/{major}.{minor}.x' });
+      utils.detectTriggerMode.mockReturnValue('pr-merge');
+      release.createRelease.mockResolvedValue({
+        id: 120,
+        html_url: 'https://example.com/releases/maintenance'
+      });
+      release.createMajorRelease.mockResolvedValue({ tag: 'v1', version: 'v1.4.3' });
+    });
+
+    test('resolves versions within the maintenance line and updates only its base tag', async () => {
+      github.context.payload = { pull_request: { merged: true, labels: [], base: { ref: 'release/1.x' } } };
+      setupExecSync({ latestTags: 'v2.0.0\nv1.4.2\nv1.4.1\nv2\nv1' });
+      utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+      version.calculateVersion.mockReturnValue('v1.4.3');
+
+      await run();
+
+      expect(version.calculateVersion).toHaveBeenCalledWith(
+        'v1.4.2',
+        'patch',
+        false,
+        expect.any(Object),
+        ['v1.4.2', 'v1.4.1']
+      );
+      expect(release.createRelease).toHaveBeenCalledWith(
+        { rest: {} },
+        github.context,
+        expect.objectContaining({ tagName: 'v1.4.3', makeLatest: 'false' })
+      );
+      expect(release.createMajorRelease).toHaveBeenCalledWith(
+        { rest: {} },
+        github.context,
+        expect.objectContaining({ majorVersion: 'v1', fullVersion: 'v1.4.3' })
+      );
+      expect(core.setOutput).toHaveBeenCalledWith('previous-version', 'v1.4.2');
+    });
+
+    test('rejects bumps that would leave the maintenance line', async () => {
+      github.context.payload = { pull_request: { merged: true, labels: [], base: { ref: 'release/1.x' } } };
+      setupExecSync({ latestTags: 'v2.0.0\nv1.4.2' });
+      utils.parseLabels.mockReturnValue({ releaseType: 'major', isPrerelease: false });
+      version.calculateVersion.mockReturnValue('v2.0.0');
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Release v2.0.0 would leave the 1.x line of maintenance branch release/1.x'
+      );
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+
+    test('leaves the base tag alone when a newer minor line exists', async () => {
+      github.context.payload = { pull_request: { merged: true, labels: [], base: { ref: 'release/1.3.x' } } };
+      setupExecSync({ latestTags: 'v1.4.0\nv1.3.5' });
+      utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+      version.calculateVersion.mockReturnValue('v1.3.6');
+
+      await run();
+
+      expect(release.createRelease).toHaveBeenCalledWith(
+        { rest: {} },
+        github.context,
+        expect.objectContaining({ tagName: 'v1.3.6', makeLatest: 'false' })
+      );
+      expect(release.createMajorRelease).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('ℹ️ A newer 1.x release exists, leaving its base tag untouched');
+    });
+
+    test('fails when the maintenance line has no versions yet', async () => {
+      github.context.payload = { pull_request: { merged: true, labels: [], base: { ref: 'release/3.x' } } };
+      setupExecSync({ latestTags: 'v2.0.0' });
+      utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('No 3.x versions found for maintenance branch release/3.x');
+    });
+
+    test('uses the global latest version on other branches', async () => {
+      setupExecSync({ latestTags: 'v2.0.0\nv1.4.2' });
+      utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+      version.calculateVersion.mockReturnValue('v2.0.1');
+
+      await run();
+
+      expect(version.calculateVersion).toHaveBeenCalledWith(
+        'v2.0.0',
+        'patch',
+        false,
+        expect.any(Object),
+        ['v2.0.0', 'v1.4.2']
+      );
+      expect(release.createRelease).toHaveBeenCalledWith(
+        { rest: {} },
+        github.context,
+        expect.objectContaining({ tagName: 'v2.0.1', makeLatest: undefined })
+      );
+    });
+  });
+
+  describe('release plan comment', () => {
+    beforeEach(() => {
+      setupCoreInputs({}, { 'pr-comment': true });
+      github.context.payload = { pull_request: { number: 7, merged: false, labels: [] } };
+      utils.detectTriggerMode.mockReturnValue('pr-open');
+      utils.detectExecutionMode.mockReturnValue('validate');
+      utils.parseLabels.mockReturnValue({ releaseType: 'minor', isPrerelease: false, matchedLabel: 'feature' });
+      version.calculateVersion.mockReturnValue('v1.3.0');
+    });
+
+    test('creates or updates the plan comment in validate mode', async () => {
+      comment.upsertPlanComment.mockResolvedValueOnce({ id: 1 });
+
+      await run();
+
+      const [, , body] = comment.upsertPlanComment.mock.calls[0];
+      expect(body).toContain(comment.PLAN_COMMENT_MARKER);
+      expect(body).toContain('| Previous version | `v1.2.3` |');
+      expect(body).toContain('| Planned version | `v1.3.0` |');
+      expect(body).toContain('| Reason | label `feature` |');
+      expect(body).toContain('- feat: add feature (abc123)');
+      expect(core.info).toHaveBeenCalledWith('💬 Updated the release plan comment on the pull request');
+    });
+
+    test('reports when no release is planned', async () => {
+      utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false });
+      comment.upsertPlanComment.mockResolvedValueOnce({ id: 1 });
+
+      await run();
+
+      expect(comment.upsertPlanComment.mock.calls[0][2]).toContain('No release planned: no release labels found.');
+    });
+
+    test('only warns when the comment cannot be written', async () => {
+      comment.upsertPlanComment.mockRejectedValueOnce(new Error('Resource not accessible by integration'));
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith(
+        'Failed to update the release plan comment: Resource not accessible by integration'
+      );
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('version', 'v1.3.0');
+    });
+
+    test('does not comment unless pr-comment is enabled or outside prepare and validate modes', async () => {
+      setupCoreInputs();
+      await run();
+
+      setupCoreInputs({}, { 'pr-comment': true });
+      utils.detectExecutionMode.mockReturnValue('release');
+      release.createRelease.mockResolvedValueOnce({ id: 9, html_url: 'https://example.com/releases/v1.3.0' });
+      await run();
+
+      expect(comment.upsertPlanComment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('auto-labeling', () => {
+    beforeEach(() => {
+      setupCoreInputs({}, { 'auto-label': true });
+      utils.detectTriggerMode.mockReturnValue('pr-open');
+      utils.detectExecutionMode.mockReturnValue('validate');
+      utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false });
+    });
+
+    test('labels open PRs before resolving the release type', async () => {
+      autolabel.autoLabelPullRequest.mockResolvedValueOnce(['minor']);
+
+      await run();
+
+      expect(autolabel.autoLabelPullRequest).toHaveBeenCalledWith(
+        { rest: {} },
+        github.context,
+        expect.objectContaining({ autoLabel: true })
+      );
+      expect(autolabel.autoLabelPullRequest.mock.invocationCallOrder[0]).toBeLessThan(
+        utils.parseLabels.mock.invocationCallOrder[0]
+      );
+    });
+
+    test('only warns when labels cannot be applied', async () => {
+      autolabel.autoLabelPullRequest.mockRejectedValueOnce(new Error('Resource not accessible by integration'));
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith(
+        'Failed to auto-label the pull request: Resource not accessible by integration'
+      );
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('fails on invalid auto-label rules', async () => {
+      setupCoreInputs({ 'auto-label-rules': '^feat:feature' }, { 'auto-label': true });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Invalid configuration: Invalid auto-label-rules entry: ^feat:feature. ' +
+        'Expected regex:major|minor|patch|prerelease'
+      );
+    });
+
+    test('ignores other triggers', async () => {
+      utils.detectTriggerMode.mockReturnValue('pr-merge');
+
+      await run();
+
+      expect(autolabel.autoLabelPullRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('release check', () => {
+    beforeEach(() => {
+      setupCoreInputs({ 'status-check': 'check-run' });
+      github.context.payload = { pull_request: { number: 7, head: { sha: 'abc123' }, labels: [] } };
+      utils.detectTriggerMode.mockReturnValue('pr-open');
+      utils.detectExecutionMode.mockReturnValue('validate');
+      utils.parseLabels.mockReturnValue({ releaseType: 'minor', isPrerelease: false, matchedLabel: 'minor' });
+      version.calculateVersion.mockReturnValue('v1.3.0');
+    });
+
+    test('publishes the planned version on the PR head', async () => {
+      checks.publishReleaseCheck.mockResolvedValueOnce({ id: 1 });
+
+      await run();
+
+      expect(checks.publishReleaseCheck).toHaveBeenCalledWith({ rest: {} }, github.context, 'check-run', {
+        conclusion: 'success',
+        title: 'Release v1.3.0 (minor)',
+        summary: expect.stringContaining('**Reason:** label `minor`')
+      });
+      expect(core.info).toHaveBeenCalledWith('✅ Published check-run: Release v1.3.0 (minor)');
+    });
+
+    test('fails PRs without a release label when require-release-label is set', async () => {
+      setupCoreInputs({ 'status-check': 'commit-status' }, { 'require-release-label': true });
+      utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false });
+      checks.publishReleaseCheck.mockResolvedValueOnce({ id: 1 });
+
+      await run();
+
+      const message = 'No release label found on this pull request. Add one of: major, minor, patch';
+      expect(checks.publishReleaseCheck).toHaveBeenCalledWith({ rest: {} }, github.context, 'commit-status', {
+        conclusion: 'failure',
+        title: 'Release label required',
+        summary: message
+      });
+      expect(core.setFailed).toHaveBeenCalledWith(message);
+    });
+
+    test('accepts a skip label in validate mode when require-release-label is set', async () => {
+      setupCoreInputs({ 'status-check': 'check-run' }, { 'require-release-label': true });
+      utils.parseLabels.mockReturnValue({
+        releaseType: 'none',
+        isPrerelease: false,
+        skipReason: 'Label "skip-release" requests no release'
+      });
+      checks.publishReleaseCheck.mockResolvedValueOnce({ id: 1 });
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('skip-reason', 'Label "skip-release" requests no release');
+      expect(checks.publishReleaseCheck).toHaveBeenCalledWith({ rest: {} }, github.context, 'check-run', {
+        conclusion: 'neutral',
+        title: 'Release skipped',
+        summary: 'Label "skip-release" requests no release'
+      });
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('reports unlabeled PRs as neutral when labels are optional', async () => {
+      utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false });
+      checks.publishReleaseCheck.mockResolvedValueOnce({ id: 1 });
+
+      await run();
+
+      expect(checks.publishReleaseCheck.mock.calls[0][3]).toEqual(
+        expect.objectContaining({ conclusion: 'neutral', title: 'No release planned' })
+      );
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('only warns when the check cannot be published', async () => {
+      checks.publishReleaseCheck.mockRejectedValueOnce(new Error('Resource not accessible by integration'));
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith(
+        'Failed to publish the release check-run: Resource not accessible by integration'
+      );
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('skip release', () => {
+    beforeEach(() => {
+      utils.detectTriggerMode.mockReturnValue('pr-merge');
+      utils.parseLabels.mockReturnValue({
+        releaseType: 'minor',
+        isPrerelease: false,
+        skipReason: 'Label "skip-release" requests no release'
+      });
+      version.calculateVersion.mockReturnValue('v1.3.0');
+    });
+
+    test('stops before calculating a version and reports why', async () => {
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('skip-reason', 'Label "skip-release" requests no release');
+      expect(core.setOutput).toHaveBeenCalledWith('released', 'false');
+      expect(core.setOutput).toHaveBeenCalledWith('release-type', 'none');
+      expect(policy.enforceReleasePolicy).not.toHaveBeenCalled();
+      expect(version.calculateVersion).not.toHaveBeenCalled();
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+
+    test('still reports the would-be release in validate mode', async () => {
+      utils.detectExecutionMode.mockReturnValue('validate');
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('skip-reason', 'Label "skip-release" requests no release');
+      expect(core.setOutput).toHaveBeenCalledWith('version', 'v1.3.0');
+      expect(core.setOutput).toHaveBeenCalledWith('release-type', 'minor');
+      expect(core.setOutput).toHaveBeenCalledWith('released', 'false');
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('categorized release notes', () => {
+    beforeEach(() => {
+      setupCoreInputs(
+        {
+          'release-notes-sections': 'Features: minor, type:feat\nFixes: patch\nOther: *',
+          'release-notes-exclude-labels': 'ignore-for-release'
+        },
+        { 'categorize-release-notes': true }
+      );
+      utils.detectTriggerMode.mockReturnValue('pr-merge');
+      utils.parseLabels.mockReturnValue({ releaseType: 'minor', isPrerelease: false, skipReason: null });
+      github.context.payload = {
+        pull_request: {
+          number: 9,
+          title: 'feat: add export',
+          html_url: 'https://github.com/octocat/demo-repo/pull/9',
+          merged: true,
+          user: { login: 'octo' },
+          labels: [{ name: 'minor' }]
+        }
+      };
+      version.calculateVersion.mockReturnValue('v1.3.0');
+      release.createRelease.mockResolvedValue({
+        id: 160,
+        html_url: 'https://example.com/releases/v1.3.0'
+      });
+      release.createMajorRelease.mockResolvedValue(null);
+    });
+
+    test('groups merged PRs into sections, including the PR being merged', async () => {
+      pulls.listMergedPullRequestsSince.mockResolvedValueOnce([
+        {
+          number: 5,
+          title: 'Fix typo',
+          url: 'https://github.com/octocat/demo-repo/pull/5',
+          author: 'hubot',
+          labels: ['patch']
+        },
+        { number: 6, title: 'Tidy CI', url: null, author: null, labels: ['ignore-for-release'] }
+      ]);
+
+      await run();
+
+      expect(pulls.listMergedPullRequestsSince).toHaveBeenCalledWith({ rest: {} }, github.context, 'v1.2.3');
+      const { body } = release.createRelease.mock.calls[0][2];
+      expect(body).toBe(
+        '## What\'s Changed\n\n' +
+        '### Features\n\n' +
+        '- feat: add export ([#9](https://github.com/octocat/demo-repo/pull/9)) ' +
+        'by [@octo](https://github.com/octo)\n\n' +
+        '### Fixes\n\n' +
+        '- Fix typo ([#5](https://github.com/octocat/demo-repo/pull/5)) by [@hubot](https://github.com/hubot)\n\n' +
+        '**Full Changelog**: https://github.com/octocat/demo-repo/compare/v1.2.3...v1.3.0'
+      );
+    });
+
+    test('falls back to commit notes when pull requests cannot be listed', async () => {
+      github.context.payload = { pull_request: { merged: true, labels: [] } };
+      pulls.listMergedPullRequestsSince.mockRejectedValueOnce(new Error('API rate limit exceeded'));
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith(
+        'Failed to collect pull requests for the release notes: API rate limit exceeded'
+      );
+      expect(release.createRelease.mock.calls[0][2].body).toContain('- feat: add feature (abc123)');
+    });
+
+    test('fails on invalid sections', async () => {
+      setupCoreInputs({ 'release-notes-sections': 'Features' }, { 'categorize-release-notes': true });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Invalid configuration: Invalid release-notes-sections entry: Features. ' +
+        'Expected Title: label, type:feat (or Title: * for the rest)'
+      );
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pull request aggregation', () => {
+    const mergedPullRequests = [
+      { number: 3, title: 'Add search', author: 'octo', labels: ['minor'] },
+      { number: 5, title: 'Fix typo', author: 'hubot', labels: ['patch'] },
+      { number: 6, title: 'Update docs', author: null, labels: ['docs'] }
+    ];
+
+    beforeEach(() => {
+      setupCoreInputs({}, { 'aggregate-pull-requests': true });
+      utils.detectTriggerMode.mockReturnValue('push-main');
+      utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false, skipReason: null });
+      release.createRelease.mockResolvedValue({
+        id: 140,
+        html_url: 'https://example.com/releases/v1.3.0'
+      });
+      release.createMajorRelease.mockResolvedValue(null);
+    });
+
+    test('releases the highest bump across PRs merged since the latest tag', async () => {
+      pulls.listMergedPullRequestsSince.mockResolvedValueOnce(mergedPullRequests);
+      version.calculateVersion.mockReturnValue('v1.3.0');
+
+      await run();
+
+      expect(pulls.listMergedPullRequestsSince).toHaveBeenCalledWith({ rest: {} }, github.context, 'v1.2.3');
+      expect(version.calculateVersion).toHaveBeenCalledWith('v1.2.3', 'minor', false, expect.any(Object), ['v1.2.3']);
+      expect(core.setOutput).toHaveBeenCalledWith('matched-label', 'minor');
+
+      const { body } = release.createRelease.mock.calls[0][2];
+      expect(body).toContain('- Add search (#3) by @octo\n- Fix typo (#5) by @hubot\n- Update docs (#6)');
+      expect(body).not.toContain('feat: add feature');
+    });
+
+    test('checks the release policy against the PR that carried the winning label', async () => {
+      pulls.listMergedPullRequestsSince.mockResolvedValueOnce(mergedPullRequests);
+      version.calculateVersion.mockReturnValue('v1.3.0');
+
+      await run();
+
+      expect(policy.enforceReleasePolicy).toHaveBeenCalledWith(
+        { rest: {} },
+        github.context,
+        expect.any(Object),
+        'push-main',
+        'minor',
+        mergedPullRequests[0]
+      );
+    });
+
+    test('skips the release when no merged PR carries a release label', async () => {
+      pulls.listMergedPullRequestsSince.mockResolvedValueOnce([mergedPullRequests[2]]);
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('released', 'false');
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+
+    test('keeps an explicit manual release type', async () => {
+      setupCoreInputs({ 'manual-release-type': 'major' }, { 'aggregate-pull-requests': true });
+      utils.detectTriggerMode.mockReturnValue('manual');
+      utils.parseLabels.mockReturnValue({ releaseType: 'major', isPrerelease: false });
+      version.calculateVersion.mockReturnValue('v2.0.0');
+
+      await run();
+
+      expect(pulls.listMergedPullRequestsSince).not.toHaveBeenCalled();
+      expect(version.calculateVersion).toHaveBeenCalledWith('v1.2.3', 'major', false, expect.any(Object), ['v1.2.3']);
+    });
+
+    test('is disabled unless aggregate-pull-requests is set', async () => {
+      setupCoreInputs();
+      utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false });
+
+      await run();
+
+      expect(pulls.listMergedPullRequestsSince).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('released', 'false');
+    });
+  });
+
+  describe('configuration file', () => {
+    function setupConfigFile(content, configPath = '.github/semantic-release.yml') {
+      const packageJsonContent = fs.readFileSync();
+      fs.existsSync.mockImplementation(filePath => filePath === configPath || filePath === 'package.json');
+      fs.readFileSync.mockImplementation(filePath => (filePath === configPath ? content : packageJsonContent));
+    }
+
+    test('merges the config file into inputs left at their defaults', async () => {
+      setupConfigFile('major-label: [breaking, major]\nminor-label: feature\n');
+      setupCoreInputs({ 'minor-label': 'enhancement' });
+      utils.detectTriggerMode.mockReturnValue('pr-merge');
+      utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false });
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('config-file', '.github/semantic-release.yml');
+      expect(utils.parseLabels).toHaveBeenCalledWith(
+        github.context,
+        expect.objectContaining({ majorLabel: 'breaking\nmajor', minorLabel: 'enhancement' }),
+        'pr-merge'
+      );
+    });
+
+    test('validate-config checks the configuration without releasing', async () => {
+      setupConfigFile('channels: [next:next, main:stable]\n');
+      setupCoreInputs({ 'execution-mode': 'validate-config' });
+
+      await run();
+
+      expect(core.info).toHaveBeenCalledWith('✅ Configuration is valid (.github/semantic-release.yml)');
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(utils.detectTriggerMode).not.toHaveBeenCalled();
+      expect(github.getOctokit).not.toHaveBeenCalled();
+    });
+
+    test('validate-config reports invalid structured inputs', async () => {
+      setupConfigFile('{"channels": "next"}', 'release.json');
+      setupCoreInputs({ 'execution-mode': 'validate-config', 'config-file': 'release.json' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Invalid configuration: Invalid channels entry: next. Expected branch:channel, e.g. next:next or main:stable'
+      );
+    });
+
+    test('validates the configuration from working-directory', async () => {
+      const chdirSpy = jest.spyOn(process, 'chdir').mockImplementation(() => {});
+      setupCoreInputs({
+        'execution-mode': 'validate-config',
+        'working-directory': 'services',
+        packages: 'libs/core\napps/core'
+      });
+
+      await run();
+
+      expect(chdirSpy).toHaveBeenCalledWith('services');
+      expect(monorepo.parsePackages).toHaveBeenCalledWith('libs/core\napps/core');
+      expect(chdirSpy.mock.invocationCallOrder[0]).toBeLessThan(monorepo.parsePackages.mock.invocationCallOrder[0]);
+      expect(core.info).toHaveBeenCalledWith('✅ Configuration is valid');
+      chdirSpy.mockRestore();
+    });
+
+    test('validates structured inputs on every run', async () => {
+      setupConfigFile('max-release-types: main:huge\n');
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Invalid configuration: Invalid max-release-types entry: main:huge');
+      expect(github.getOctokit).not.toHaveBeenCalled();
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+
+    test('fails on unknown keys in the config file', async () => {
+      setupConfigFile('pr-coment: true\n');
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Invalid config file .github/semantic-release.yml: unknown key "pr-coment" (did you mean "pr-comment"?)'
+      );
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+
+    test('validates inputs before running', async () => {
+      setupCoreInputs({ 'package-manager': 'bun' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Invalid inputs: package-manager must be one of: npm, yarn, pnpm');
+      expect(utils.detectTriggerMode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('release-version override', () => {
+    beforeEach(() => {
+      utils.detectTriggerMode.mockReturnValue('manual');
+      utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false, skipReason: null });
+      release.createRelease.mockResolvedValue({
+        id: 150,
+        html_url: 'https://example.com/releases/v3.0.0'
+      });
+      release.createMajorRelease.mockResolvedValue(null);
+    });
+
+    test('releases the exact version and derives the release type from it', async () => {
+      setupCoreInputs({ 'release-version': '3.0.0' });
+
+      await run();
+
+      expect(version.calculateVersion).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('version', 'v3.0.0');
+      expect(core.setOutput).toHaveBeenCalledWith('release-type', 'major');
+      expect(core.setOutput).toHaveBeenCalledWith('is-prerelease', 'false');
+      expect(release.createRelease).toHaveBeenCalled();
+    });
+
+    test('marks prerelease versions as prereleases', async () => {
+      utils.detectTriggerMode.mockReturnValue('workflow-call');
+      setupCoreInputs({ 'release-version': 'v1.3.0-rc.1' });
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('version', 'v1.3.0-rc.1');
+      expect(core.setOutput).toHaveBeenCalledWith('release-type', 'minor');
+      expect(core.setOutput).toHaveBeenCalledWith('is-prerelease', 'true');
+    });
+
+    test('rejects versions that are not greater than the latest version', async () => {
+      setupCoreInputs({ 'release-version': 'v1.2.0' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'release-version v1.2.0 must be greater than the latest version v1.2.3. Set force-version: true to release it anyway'
+      );
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+
+    test('allows older versions with force-version', async () => {
+      setupCoreInputs({ 'release-version': 'v1.2.0' }, { 'force-version': true });
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith(
+        'Forcing release-version v1.2.0, which is not greater than the latest version v1.2.3'
+      );
+      expect(core.setOutput).toHaveBeenCalledWith('version', 'v1.2.0');
+    });
+
+    test('rejects invalid and existing versions even when forced', async () => {
+      setupCoreInputs({ 'release-version': 'v1.2.3' }, { 'force-version': true });
+      await run();
+      expect(core.setFailed).toHaveBeenCalledWith('release-version v1.2.3 already exists as v1.2.3');
+
+      setupCoreInputs({ 'release-version': 'next' });
+      await run();
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Invalid release-version: next. Expected a semantic version such as v3.0.0'
+      );
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+
+    test('is ignored outside manual and workflow_call triggers', async () => {
+      utils.detectTriggerMode.mockReturnValue('pr-merge');
+      setupCoreInputs({ 'release-version': 'v3.0.0' });
+      version.calculateVersion.mockReturnValue('v1.2.4');
+
+      await run();
+
+      expect(version.calculateVersion).toHaveBeenCalledWith('v1.2.3', 'patch', false, expect.any(Object), ['v1.2.3']);
+      expect(core.setOutput).toHaveBeenCalledWith('version', 'v1.2.4');
+    });
+  });
+
+  describe('release channels', () => {
+    beforeEach(() => {
+      setupCoreInputs({ channels: 'next:next\nbeta:beta\nmain:stable' });
+      utils.detectTriggerMode.mockReturnValue('pr-merge');
+      utils.parseLabels.mockReturnValue({ releaseType: 'minor', isPrerelease: false });
+      release.createRelease.mockResolvedValue({
+        id: 130,
+        html_url: 'https://example.com/releases/channel'
+      });
+    });
+
+    test('releases a channel prerelease on top of stable and same-channel versions only', async () => {
+      github.context.payload = { pull_request: { merged: true, labels: [], base: { ref: 'next' } } };
+      setupExecSync({ latestTags: 'v1.3.0-beta.2\nv1.2.0' });
+      version.calculateVersion.mockReturnValue('v1.3.0-next.1');
+
+      await run();
+
+      expect(version.calculateVersion).toHaveBeenCalledWith(
+        'v1.2.0',
+        'minor',
+        true,
+        expect.objectContaining({ prereleaseSuffix: 'next' }),
+        ['v1.3.0-beta.2', 'v1.2.0']
+      );
+      expect(release.createRelease).toHaveBeenCalledWith(
+        { rest: {} },
+        github.context,
+        expect.objectContaining({ tagName: 'v1.3.0-next.1', prerelease: true })
+      );
+      expect(core.setOutput).toHaveBeenCalledWith('channel', 'next');
+      expect(core.setOutput).toHaveBeenCalledWith('channel-branch', 'next');
+      expect(core.setOutput).toHaveBeenCalledWith('is-prerelease', 'true');
+    });
+
+    test('releases stable versions on the stable channel', async () => {
+      github.context.payload = { pull_request: { merged: true, labels: [], base: { ref: 'main' } } };
+      setupExecSync({ latestTags: 'v1.2.0' });
+      version.calculateVersion.mockReturnValue('v1.3.0');
+
+      await run();
+
+      expect(version.calculateVersion).toHaveBeenCalledWith('v1.2.0', 'minor', false, expect.any(Object), ['v1.2.0']);
+      expect(core.setOutput).toHaveBeenCalledWith('channel', 'stable');
+      expect(core.setOutput).toHaveBeenCalledWith('is-prerelease', 'false');
+    });
+
+    test('keeps promotions stable on prerelease channels', async () => {
+      github.context.payload = { pull_request: { merged: true, labels: [], base: { ref: 'next' } } };
+      setupExecSync({ latestTags: 'v1.3.0-next.2\nv1.2.0' });
+      utils.parseLabels.mockReturnValue({ releaseType: 'promote', isPrerelease: false });
+      version.calculateVersion.mockReturnValue('v1.3.0');
+
+      await run();
+
+      expect(version.calculateVersion).toHaveBeenCalledWith(
+        'v1.3.0-next.2',
+        'promote',
+        false,
+        expect.any(Object),
+        ['v1.3.0-next.2', 'v1.2.0']
+      );
+    });
+
+    test('does not set channel outputs for unmapped branches', async () => {
+      github.context.payload = { pull_request: { merged: true, labels: [], base: { ref: 'feature/x' } } };
+      version.calculateVersion.mockReturnValue('v1.3.0');
+
+      await run();
+
+      expect(core.setOutput).not.toHaveBeenCalledWith('channel', expect.anything());
+    });
+  });
+
+  describe('monorepo packages', () => {
+    const packages = [
+      { name: 'api', path: 'packages/api', packageJsonPath: 'packages/api/package.json', tagPrefix: 'api@' },
+      { name: 'web', path: 'packages/web', packageJsonPath: 'packages/web/package.json', tagPrefix: 'web@' }
+    ];
+
+    beforeEach(() => {
+      setupCoreInputs({ packages: 'packages/api\npackages/web' });
+      setupFs({ packageJson: true, actionYml: true });
+      setupExecSync({ latestTags: 'web@2.0.0\napi@1.2.0\napi@1\nv9.0.0', stagedChanges: true });
+      monorepo.parsePackages.mockReturnValue(packages);
+      monorepo.listPullRequestFiles.mockResolvedValue(['packages/api/src/index.js']);
+      monorepo.isPathTouched.mockImplementation((files, packagePath) => packagePath === 'packages/api');
+      utils.detectTriggerMode.mockReturnValue('pr-merge');
+      utils.parseLabels.mockReturnValue({ releaseType: 'minor', isPrerelease: false });
+      version.calculateVersion.mockImplementation(latestVersion => (latestVersion === 'v1.2.0' ? 'v1.3.0' : 'v2.1.0'));
+    });
+
+    test('fails unlabeled PRs when require-release-label is set', async () => {
+      setupCoreInputs({ packages: 'packages/api\npackages/web', 'status-check': 'check-run' }, {
+        'require-release-label': true
+      });
+      utils.detectTriggerMode.mockReturnValue('pr-open');
+      utils.detectExecutionMode.mockReturnValue('validate');
+      utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false, skipReason: null });
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith('status-check is ignored when packages is set');
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'No release label found on this pull request. Add one of: major, minor, patch'
+      );
+      expect(version.calculateVersion).not.toHaveBeenCalled();
+    });
+
+    test('accepts a skip label when require-release-label is set', async () => {
+      setupCoreInputs({ packages: 'packages/api\npackages/web' }, { 'require-release-label': true });
+      utils.detectTriggerMode.mockReturnValue('pr-open');
+      utils.detectExecutionMode.mockReturnValue('validate');
+      utils.parseLabels.mockReturnValue({
+        releaseType: 'none',
+        isPrerelease: false,
+        skipReason: 'Label "skip-release" requests no release'
+      });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('releases only packages touched by the pull request', async () => {
+      release.createRelease.mockResolvedValue({
+        id: 201,
+        html_url: 'https://example.com/releases/api@1.3.0'
+      });
+      release.createMajorRelease.mockResolvedValue({ tag: 'api@1', version: 'api@1.3.0' });
+
+      await run();
+
+      expect(version.calculateVersion).toHaveBeenCalledTimes(1);
+      expect(version.calculateVersion).toHaveBeenCalledWith(
+        'v1.2.0',
+        'minor',
+        false,
+        expect.objectContaining({ tagPrefix: 'api@', packageJsonPath: 'packages/api/package.json' }),
+        ['v1.2.0']
+      );
+      expect(version.updatePackageJson).toHaveBeenCalledWith('packages/api/package.json', 'v1.3.0');
+      expect(execSync).toHaveBeenCalledWith('git add "packages/api/package.json"', { stdio: 'inherit' });
+      expect(execSync).toHaveBeenCalledWith(
+        'git commit -m "build: update dist and version for api@1.3.0"',
+        { stdio: 'inherit' }
+      );
+      expect(execSync).toHaveBeenCalledWith('git push origin "api@1.3.0"');
+      expect(execSync).toHaveBeenCalledWith(
+        'git log --pretty=format:"- %s (%h)" api@1.2.0..HEAD -- "packages/api"',
+        { encoding: 'utf8' }
+      );
+      expect(release.createRelease).toHaveBeenCalledTimes(1);
+      expect(release.createRelease).toHaveBeenCalledWith(
+        { rest: {} },
+        github.context,
+        expect.objectContaining({ tagName: 'api@1.3.0', name: 'api@1.3.0' })
+      );
+      expect(release.createMajorRelease).toHaveBeenCalledWith(
+        { rest: {} },
+        github.context,
+        expect.objectContaining({ majorVersion: 'api@1', fullVersion: 'api@1.3.0' })
+      );
+      expect(core.setOutput).toHaveBeenCalledWith('released', 'true');
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'released-packages',
+        JSON.stringify([
+          {
+            name: 'api',
+            path: 'packages/api',
+            version: 'api@1.3.0',
+            previousVersion: 'api@1.2.0',
+            tagName: 'api@1.3.0',
+            releaseType: 'minor',
+            isPrerelease: false,
+            released: true,
+            releaseUrl: 'https://example.com/releases/api@1.3.0'
+          }
+        ])
+      );
+    });
+
+    test('releases every changed package and pushes the branch once', async () => {
+      monorepo.isPathTouched.mockReturnValue(true);
+      release.createRelease.mockImplementation((octokit, context, { tagName }) =>
+        Promise.resolve({ id: 202, html_url: `https://example.com/releases/${tagName}` })
+      );
+      release.createMajorRelease.mockResolvedValue(null);
+
+      await run();
+
+      expect(version.updatePackageJson).toHaveBeenCalledWith('packages/web/package.json', 'v2.1.0');
+      expect(execSync).toHaveBeenCalledWith(
+        'git commit -m "build: update dist and version for api@1.3.0, web@2.1.0"',
+        { stdio: 'inherit' }
+      );
+      expect(execSync.mock.calls.filter(([command]) => command === 'git push origin HEAD')).toHaveLength(1);
+      expect(execSync).toHaveBeenCalledWith('git push origin "web@2.1.0"');
+      expect(release.createRelease).toHaveBeenCalledTimes(2);
+      expect(execSync.mock.calls.filter(([command]) => command === 'npm ci')).toHaveLength(1);
+    });
+
+    test('updates only the version files scoped to a released package', async () => {
+      const entries = [
+        { path: 'packages/api/VERSION', format: 'regex', pattern: '^(.+)$', package: 'api' },
+        { path: 'packages/web/Chart.yaml', format: 'yaml', key: 'version', package: 'web' },
+        { path: 'VERSION', format: 'regex', pattern: '^(.+)$' }
+      ];
+      setupCoreInputs({ packages: 'packages/api\npackages/web', 'version-files': JSON.stringify(entries) });
+      release.createRelease.mockResolvedValue({ id: 203, html_url: 'https://example.com/releases/api@1.3.0' });
+
+      await run();
+
+      expect(versionFiles.updateVersionFile).toHaveBeenCalledTimes(1);
+      expect(versionFiles.updateVersionFile).toHaveBeenCalledWith(entries[0], 'v1.3.0');
+    });
+
+    test('uses commit history on non-PR triggers', async () => {
+      utils.detectTriggerMode.mockReturnValue('manual');
+      monorepo.hasCommitsTouchingPath.mockReturnValue(false);
+
+      await run();
+
+      expect(monorepo.listPullRequestFiles).not.toHaveBeenCalled();
+      expect(monorepo.hasCommitsTouchingPath).toHaveBeenCalledWith('api@1.2.0', 'packages/api');
+      expect(monorepo.hasCommitsTouchingPath).toHaveBeenCalledWith('web@2.0.0', 'packages/web');
+      expect(core.setOutput).toHaveBeenCalledWith('released', 'false');
+      expect(core.setOutput).toHaveBeenCalledWith('released-packages', '[]');
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+
+    test('warns about inputs that only apply to single-package releases', async () => {
+      setupCoreInputs(
+        { packages: 'packages/api\npackages/web', 'maintenance-branches': 'release/{major}.x' },
+        { 'pr-comment': true }
+      );
+      utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false });
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith('maintenance-branches is ignored when packages is set');
+      expect(core.warning).toHaveBeenCalledWith('pr-comment is ignored when packages is set');
+    });
+
+    test('aggregates PRs merged since each package tag that touched the package', async () => {
+      setupCoreInputs({ packages: 'packages/api\npackages/web' }, { 'aggregate-pull-requests': true });
+      utils.detectTriggerMode.mockReturnValue('push-main');
+      utils.parseLabels.mockReturnValue({ releaseType: 'none', isPrerelease: false, skipReason: null });
+      monorepo.hasCommitsTouchingPath.mockImplementation((latestTag, packagePath) => packagePath === 'packages/api');
+      pulls.listMergedPullRequestsSince.mockResolvedValueOnce([
+        { number: 3, title: 'Add search', author: 'octo', labels: ['minor'] }
+      ]);
+      release.createRelease.mockResolvedValue({ id: 204, html_url: 'https://example.com/releases/api@1.3.0' });
+      release.createMajorRelease.mockResolvedValue(null);
+
+      await run();
+
+      expect(pulls.listMergedPullRequestsSince).toHaveBeenCalledTimes(1);
+      expect(pulls.listMergedPullRequestsSince).toHaveBeenCalledWith(
+        { rest: {} },
+        github.context,
+        'api@1.2.0',
+        'packages/api'
+      );
+      expect(version.calculateVersion).toHaveBeenCalledWith(
+        'v1.2.0',
+        'minor',
+        false,
+        expect.objectContaining({ tagPrefix: 'api@' }),
+        ['v1.2.0']
+      );
+      expect(release.createRelease.mock.calls[0][2].body).toContain('- Add search (#3) by @octo');
+    });
+
+    test('categorizes each package\'s release notes from the PRs that touched it', async () => {
+      setupCoreInputs(
+        { packages: 'packages/api\npackages/web', 'release-notes-sections': 'Features: type:feat\nOther: *' },
+        { 'categorize-release-notes': true }
+      );
+      utils.detectTriggerMode.mockReturnValue('push-main');
+      utils.parseLabels.mockReturnValue({ releaseType: 'minor', isPrerelease: false, skipReason: null });
+      monorepo.hasCommitsTouchingPath.mockImplementation((latestTag, packagePath) => packagePath === 'packages/api');
+      pulls.listMergedPullRequestsSince.mockResolvedValueOnce([
+        { number: 3, title: 'feat: add search', author: 'octo', labels: [] }
+      ]);
+      release.createRelease.mockResolvedValue({ id: 205, html_url: 'https://example.com/releases/api@1.3.0' });
+      release.createMajorRelease.mockResolvedValue(null);
+
+      await run();
+
+      expect(pulls.listMergedPullRequestsSince).toHaveBeenCalledTimes(1);
+      expect(pulls.listMergedPullRequestsSince).toHaveBeenCalledWith(
+        { rest: {} },
+        github.context,
+        'api@1.2.0',
+        'packages/api'
+      );
+      expect(release.createRelease.mock.calls[0][2].body).toContain(
+        '### Features\n\n- feat: add search (#3) by [@octo](https://github.com/octo)'
+      );
+    });
+
+    test('restricts Conventional Commits detection to each package path', async () => {
+      setupCoreInputs({ packages: 'packages/api\npackages/web', 'version-source': 'commits' });
+      utils.detectExecutionMode.mockReturnValue('validate');
+      commits.detectReleaseTypeFromCommits.mockImplementation((latestTag, inputs, packagePath) =>
+        packagePath === 'packages/web' ? 'patch' : 'none'
+      );
+
+      await run();
+
+      expect(commits.detectReleaseTypeFromCommits).toHaveBeenCalledWith(
+        'api@1.2.0',
+        expect.any(Object),
+        'packages/api'
+      );
+      expect(version.calculateVersion).toHaveBeenCalledWith(
+        'v2.0.0',
+        'patch',
+        false,
+        expect.objectContaining({ tagPrefix: 'web@' }),
+        ['v2.0.0']
+      );
+      expect(release.createRelease).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('released', 'false');
+    });
+  });
+
+  test('keeps zero-padded CalVer tags when versioning-scheme is calver', async () => {
+    setupCoreInputs({ 'versioning-scheme': 'calver', 'calver-format': 'YY.0M.MICRO' });
+    setupExecSync({ latestTags: 'v26.03.1\nv26.03.0\nv26' });
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+    version.calculateVersion.mockReturnValue('v26.03.2');
+    release.createRelease.mockResolvedValue({
+      id: 108,
+      html_url: 'https://example.com/releases/v26.03.2'
+    });
+    release.createMajorRelease.mockResolvedValue({ tag: 'v26', version: 'v26.03.2' });
+
+    await run();
+
+    expect(version.calculateVersion).toHaveBeenCalledWith(
+      'v26.03.1',
+      'patch',
+      false,
+      expect.objectContaining({ versioningScheme: 'calver', calverFormat: 'YY.0M.MICRO' }),
+      ['v26.03.1', 'v26.03.0']
+    );
+    expect(execSync).toHaveBeenCalledWith('git push origin "v26.03.2"');
+    expect(release.createMajorRelease).toHaveBeenCalledWith(
+      { rest: {} },
+      github.context,
+      expect.objectContaining({ majorVersion: 'v26', fullVersion: 'v26.03.2' })
+    );
+  });
+
+  test('tracks v0.x minor base tags when zero-major-base-tag is minor', async () => {
+    setupCoreInputs({ 'zero-major-base-tag': 'minor' }, { 'zero-major-mode': true });
+    setupExecSync({ latestTags: 'v0.3.1\nv0.3' });
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+    version.calculateVersion.mockReturnValue('v0.3.2');
+    release.createRelease.mockResolvedValue({
+      id: 109,
+      html_url: 'https://example.com/releases/v0.3.2'
+    });
+    release.createMajorRelease.mockResolvedValue({ tag: 'v0.3', version: 'v0.3.2' });
+
+    await run();
+
+    expect(version.calculateVersion).toHaveBeenCalledWith(
+      'v0.3.1',
+      'patch',
+      false,
+      expect.objectContaining({ zeroMajorMode: true }),
+      ['v0.3.1']
+    );
+    expect(release.createMajorRelease).toHaveBeenCalledWith(
+      { rest: {} },
+      github.context,
+      expect.objectContaining({ majorVersion: 'v0.3', fullVersion: 'v0.3.2' })
+    );
+    expect(core.setOutput).toHaveBeenCalledWith('major-version', 'v0.3');
+  });
+
+  test('keeps the v0 base tag by default', async () => {
+    setupExecSync({ latestTags: 'v0.3.1' });
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+    version.calculateVersion.mockReturnValue('v0.3.2');
+    release.createRelease.mockResolvedValue({
+      id: 110,
+      html_url: 'https://example.com/releases/v0.3.2'
+    });
+    release.createMajorRelease.mockResolvedValue({ tag: 'v0', version: 'v0.3.2' });
+
+    await run();
+
+    expect(release.createMajorRelease).toHaveBeenCalledWith(
+      { rest: {} },
+      github.context,
+      expect.objectContaining({ majorVersion: 'v0', fullVersion: 'v0.3.2' })
+    );
+  });
+
+  test('does not create major release for prereleases', async () => {
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: true });
+    version.calculateVersion.mockReturnValue('v1.2.4-beta.1');
+    release.createRelease.mockResolvedValue({
+      id: 100,
+      html_url: 'https://example.com/releases/v1.2.4-beta.1'
+    });
+
+    await run();
+
+    expect(release.createRelease).toHaveBeenCalledWith(
+      { rest: {} },
+      github.context,
+      expect.objectContaining({
+        tagName: 'v1.2.4-beta.1',
+        prerelease: true
+      })
+    );
+    expect(release.createMajorRelease).not.toHaveBeenCalled();
+    expect(core.setOutput).toHaveBeenCalledWith('is-prerelease', 'true');
+  });
+
+  test('uses plain release notes when auto-generate-notes is disabled', async () => {
+    setupCoreInputs({}, { 'auto-generate-notes': false });
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+    version.calculateVersion.mockReturnValue('v1.2.4');
+    release.createRelease.mockResolvedValue({
+      id: 101,
+      html_url: 'https://example.com/releases/v1.2.4'
+    });
+    release.createMajorRelease.mockResolvedValue(null);
+
+    await run();
+
+    expect(release.createRelease).toHaveBeenCalledWith(
+      { rest: {} },
+      github.context,
+      expect.objectContaining({
+        body: 'Release v1.2.4'
+      })
+    );
+  });
+
+  test('falls back to v0.0.0 when tag discovery fails', async () => {
+    setupExecSync({ throwOnFetch: true });
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+    version.calculateVersion.mockReturnValue('v0.0.1');
+    release.createRelease.mockResolvedValue({
+      id: 1,
+      html_url: 'https://example.com/releases/v0.0.1'
+    });
+    release.createMajorRelease.mockResolvedValue(null);
+
+    await run();
+
+    expect(core.setOutput).toHaveBeenCalledWith('previous-version', 'v0.0.0');
+    expect(release.createRelease).toHaveBeenCalledWith(
+      { rest: {} },
+      github.context,
+      expect.objectContaining({
+        body: expect.not.stringContaining('Full Changelog')
+      })
+    );
+  });
+
+  test('fails instead of starting from v0.0.0 when releases already exist', async () => {
+    execSync.mockImplementation(command => {
+      if (command === 'git fetch --tags') {
+        throw new Error('fetch failed');
+      }
+      return command === 'git rev-parse --is-shallow-repository' ? 'true\n' : '';
+    });
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+    release.listReleaseTags.mockResolvedValueOnce(['v1.4.0', 'v1.3.0', 'api@9.0.0']);
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'No version tags found, but 2 release(s) already exist (latest: v1.4.0). Refusing to start from v0.0.0. ' +
+      'The checkout is shallow. Use fetch-depth: 0 on checkout or set version-lookup: api'
+    );
+    expect(version.calculateVersion).not.toHaveBeenCalled();
+    expect(release.createRelease).not.toHaveBeenCalled();
+  });
+
+  test('warns and continues when existing releases cannot be checked', async () => {
+    setupExecSync({ latestTags: '' });
+    utils.detectTriggerMode.mockReturnValue('pr-merge');
+    utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+    release.listReleaseTags.mockRejectedValueOnce(new Error('Resource not accessible by integration'));
+    version.calculateVersion.mockReturnValue('v0.0.1');
+    release.createRelease.mockResolvedValue({ id: 2, html_url: 'https://example.com/releases/v0.0.1' });
+
+    await run();
+
+    expect(core.warning).toHaveBeenCalledWith(
+      'Unable to check for existing releases: Resource not accessible by integration'
+    );
+    expect(version.calculateVersion).toHaveBeenCalledWith('v0.0.0', 'patch', false, expect.any(Object), []);
+  });
+
+  describe('reachable-tags-only', () => {
+    function setupReachability({ merged, local }) {
+      execSync.mockImplementation(command => {
+        if (command === 'git tag --sort=-version:refname') {
+          return 'v2.0.0\nv1.5.0\nv1.4.0\nv1';
+        }
+        if (command === 'git tag --merged HEAD') {
+          return merged;
+        }
+        if (command === 'git tag --list') {
+          return local;
+        }
+        return '';
+      });
+    }
+
+    beforeEach(() => {
+      setupCoreInputs({}, { 'reachable-tags-only': true });
+      utils.detectTriggerMode.mockReturnValue('pr-merge');
+      utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+      version.calculateVersion.mockReturnValue('v1.5.1');
+      release.createRelease.mockResolvedValue({ id: 5, html_url: 'https://example.com/releases/v1.5.1' });
+    });
+
+    test('picks the latest version among tags reachable from HEAD', async () => {
+      setupReachability({ merged: 'v1.5.0\nv1.4.0\nv1', local: 'v2.0.0\nv1.5.0\nv1.4.0\nv1' });
+
+      await run();
+
+      expect(core.info).toHaveBeenCalledWith('⏭️ Skipping tag v2.0.0: not reachable from HEAD');
+      expect(version.calculateVersion).toHaveBeenCalledWith(
+        'v1.5.0',
+        'patch',
+        false,
+        expect.any(Object),
+        ['v2.0.0', 'v1.5.0', 'v1.4.0']
+      );
+      expect(execSync).toHaveBeenCalledWith('git log --pretty=format:"- %s (%h)" v1.5.0..HEAD', { encoding: 'utf8' });
+    });
+
+    test('explains when a tag is missing from the local checkout', async () => {
+      setupReachability({ merged: 'v1.4.0', local: 'v1.4.0' });
+
+      await run();
+
+      expect(core.info).toHaveBeenCalledWith('⏭️ Skipping tag v2.0.0: not present in the local checkout');
+      expect(core.info).toHaveBeenCalledWith('⏭️ Skipping tag v1.5.0: not present in the local checkout');
+      expect(core.setOutput).toHaveBeenCalledWith('previous-version', 'v1.4.0');
+    });
+
+    test('refuses to move an unreachable tag that the bump would reuse', async () => {
+      setupReachability({ merged: 'v1.4.0\nv1', local: 'v2.0.0\nv1.5.0\nv1.4.0\nv1' });
+      version.calculateVersion.mockReturnValue('v1.5.0');
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Cannot release v1.5.0: the tag already exists but is not reachable from HEAD. ' +
+        'Delete or merge v1.5.0, or disable reachable-tags-only'
+      );
+      expect(execSync.mock.calls.map(([command]) => command)).not.toContainEqual(expect.stringContaining('git push'));
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+
+    test('does not check reachability when disabled', async () => {
+      setupCoreInputs();
+      setupReachability({ merged: '', local: '' });
+
+      await run();
+
+      expect(execSync).not.toHaveBeenCalledWith('git tag --merged HEAD', expect.anything());
+      expect(core.setOutput).toHaveBeenCalledWith('previous-version', 'v2.0.0');
+    });
+  });
+
+  describe('version-lookup api', () => {
+    beforeEach(() => {
+      setupCoreInputs({ 'version-lookup': 'api' });
+      utils.detectTriggerMode.mockReturnValue('pr-merge');
+      utils.parseLabels.mockReturnValue({ releaseType: 'patch', isPrerelease: false });
+    });
+
+    test('resolves the latest version from tags listed through the GitHub API', async () => {
+      release.listRepositoryTags.mockResolvedValueOnce(['v1', 'v1.9.0', 'v1.10.0', 'v1.10.1-beta.1']);
+      version.calculateVersion.mockReturnValue('v1.10.1');
+      release.createRelease.mockResolvedValue({ id: 3, html_url: 'https://example.com/releases/v1.10.1' });
+
+      await run();
+
+      expect(release.listRepositoryTags).toHaveBeenCalledWith({ rest: {} }, github.context);
+      expect(execSync).not.toHaveBeenCalledWith('git fetch --tags', expect.anything());
+      expect(version.calculateVersion).toHaveBeenCalledWith(
+        'v1.10.1-beta.1',
+        'patch',
+        false,
+        expect.any(Object),
+        ['v1.10.1-beta.1', 'v1.10.0', 'v1.9.0']
+      );
+    });
+
+    test('fails loudly when the API cannot list tags', async () => {
+      release.listRepositoryTags.mockRejectedValueOnce(new Error('Bad credentials'));
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Failed to list tags through the GitHub API: Bad credentials');
+      expect(release.createRelease).not.toHaveBeenCalled();
+    });
+
+    test('does not fall back to git describe', async () => {
+      release.listRepositoryTags.mockResolvedValueOnce([]);
+      version.calculateVersion.mockReturnValue('v0.0.1');
+      release.createRelease.mockResolvedValue({ id: 4, html_url: 'https://example.com/releases/v0.0.1' });
+
+      await run();
+
+      expect(execSync).not.toHaveBeenCalledWith(expect.stringContaining('git describe'), expect.anything());
+      expect(core.setOutput).toHaveBeenCalledWith('previous-version', 'v0.0.0');
+    });
   });
 
   test('auto-detects install, test and build commands from package.json scripts', async () => {
@@ -0,0 +1,89 @@
+const {
+  parseMaintenanceBranches,
+  resolveTargetBranch,
+  matchMaintenanceBranch,
+  formatMaintenanceLine,
+  isVersionInLine,
+  assertVersionInLine
+} = require('../src/maintenance');
+
+describe('maintenance', () => {
+  describe('parseMaintenanceBranches', () => {
+    test('parses comma and newline separated patterns', () => {
+      expect(parseMaintenanceBranches('release/{major}.x,\nhotfix/{major}.{minor}.x\n')).toEqual([
+        'release/{major}.x',
+        'hotfix/{major}.{minor}.x'
+      ]);
+    });
+
+    test('returns no patterns for empty input', () => {
+      expect(parseMaintenanceBranches('')).toEqual([]);
+    });
+
+    test('rejects patterns without {major}', () => {
+      expect(() => parseMaintenanceBranches('release/next')).toThrow(
+        'Invalid maintenance-branches pattern: release/next. Patterns must contain {major}'
+      );
+    });
+  });
+
+  describe('resolveTargetBranch', () => {
+    test('uses the pull request base branch', () => {
+      const context = { ref: 'refs/pull/7/merge', payload: { pull_request: { base: { ref: 'release/1.x' } } } };
+      expect(resolveTargetBranch(context)).toBe('release/1.x');
+    });
+
+    test('falls back to the pushed branch', () => {
+      expect(resolveTargetBranch({ ref: 'refs/heads/release/2.x', payload: {} })).toBe('release/2.x');
+    });
+  });
+
+  describe('matchMaintenanceBranch', () => {
+    const patterns = ['release/{major}.x', 'release/{major}.{minor}.x'];
+
+    test('matches major lines', () => {
+      expect(matchMaintenanceBranch('release/1.x', patterns)).toEqual({
+        branch: 'release/1.x',
+        major: 1,
+        minor: null
+      });
+    });
+
+    test('matches minor lines', () => {
+      expect(matchMaintenanceBranch('release/1.4.x', patterns)).toEqual({
+        branch: 'release/1.4.x',
+        major: 1,
+        minor: 4
+      });
+    });
+
+    test('returns null for other branches', () => {
+      expect(matchMaintenanceBranch('main', patterns)).toBeNull();
+      expect(matchMaintenanceBranch('release/1.x-docs', patterns)).toBeNull();
+    });
+  });
+
+  describe('version lines', () => {
+    const majorLine = { branch: 'release/1.x', major: 1, minor: null };
+    const minorLine = { branch: 'release/1.4.x', major: 1, minor: 4 };
+
+    test('formats lines', () => {
+      expect(formatMaintenanceLine(majorLine)).toBe('1.x');
+      expect(formatMaintenanceLine(minorLine)).toBe('1.4.x');
+    });
+
+    test('checks whether versions belong to a line', () => {
+      expect(isVersionInLine('v1.9.0', majorLine)).toBe(true);
+      expect(isVersionInLine('v2.0.0', majorLine)).toBe(false);
+      expect(isVersionInLine('v1.4.7-beta.1', minorLine)).toBe(true);
+      expect(isVersionInLine('v1.5.0', minorLine)).toBe(false);
+    });
+
+    test('rejects versions that leave the line', () => {
+      expect(() => assertVersionInLine('v2.0.0', majorLine)).toThrow(
+        'Release v2.0.0 would leave the 1.x line of maintenance branch release/1.x'
+      );
+      expect(() => assertVersionInLine('v1.4.3', minorLine)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('child_process', () => ({
+  execSync: jest.fn()
+}));
+
+jest.mock('fs', () => ({
+  existsSync: jest.fn(),
+  readFileSync: jest.fn()
+}));
+
+const core = require('@actions/core');
+const { execSync } = require('child_process');
+const fs = require('fs');
+const {
+  parsePackages,
+  listPullRequestFiles,
+  isPathTouched,
+  hasCommitsTouchingPath
+} = require('../src/monorepo');
+
+describe('monorepo', () => {
+  const context = {
+    repo: { owner: 'octocat', repo: 'demo-repo' },
+    payload: { pull_request: { number: 7 } }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parsePackages', () => {
+    test('reads package names from package.json and falls back to the directory name', () => {
+      fs.existsSync.mockImplementation(filePath => filePath === 'packages/api/package.json');
+      fs.readFileSync.mockReturnValue(JSON.stringify({ name: '@acme/api', version: '1.0.0' }));
+
+      expect(parsePackages('./packages/api/\npackages/web, ')).toEqual([
+        {
+          name: '@acme/api',
+          path: 'packages/api',
+          packageJsonPath: 'packages/api/package.json',
+          tagPrefix: '@acme/api@'
+        },
+        {
+          name: 'web',
+          path: 'packages/web',
+          packageJsonPath: 'packages/web/package.json',
+          tagPrefix: 'web@'
+        }
+      ]);
+    });
+
+    test('warns and falls back when package.json cannot be parsed', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('{');
+
+      expect(parsePackages('services/worker')[0].name).toBe('worker');
+      expect(core.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to read package name from services/worker/package.json:')
+      );
+    });
+
+    test('rejects duplicate package names', () => {
+      fs.existsSync.mockReturnValue(false);
+
+      expect(() => parsePackages('a/api\nb/api')).toThrow('Duplicate package name in packages input: api');
+    });
+
+    test('returns no packages for empty input', () => {
+      expect(parsePackages('')).toEqual([]);
+    });
+  });
+
+  describe('listPullRequestFiles', () => {
+    test('paginates the pull request files', async () => {
+      const octokit = {
+        paginate: jest.fn().mockResolvedValue([{ filename: 'packages/api/index.js' }, { filename: 'README.md' }]),
+        rest: { pulls: { listFiles: jest.fn() } }
+      };
+
+      await expect(listPullRequestFiles(octokit, context)).resolves.toEqual(['packages/api/index.js', 'README.md']);
+      expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.pulls.listFiles, {
+        owner: 'octocat',
+        repo: 'demo-repo',
+        pull_number: 7,
+        per_page: 100
+      });
+    });
+
+    test('returns null without a pull request payload', async () => {
+      const octokit = { paginate: jest.fn() };
+
+      await expect(listPullRequestFiles(octokit, { ...context, payload: {} })).resolves.toBeNull();
+      expect(octokit.paginate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isPathTouched', () => {
+    test('matches files inside the package directory only', () => {
+      expect(isPathTouched(['packages/api/src/index.js'], 'packages/api')).toBe(true);
+      expect(isPathTouched(['packages/api-client/index.js'], 'packages/api')).toBe(false);
+      expect(isPathTouched(['README.md'], './packages/api/')).toBe(false);
+    });
+  });
+
+  describe('hasCommitsTouchingPath', () => {
+    test('checks git history since the latest package tag', () => {
+      execSync.mockReturnValue('abc123\n');
+
+      expect(hasCommitsTouchingPath('api@1.0.0', 'packages/api')).toBe(true);
+      expect(execSync).toHaveBeenCalledWith('git log --format=%H api@1.0.0..HEAD -- "packages/api"', {
+        encoding: 'utf8'
+      });
+    });
+
+    test('returns false when no commit touches the path', () => {
+      execSync.mockReturnValue('');
+
+      expect(hasCommitsTouchingPath(null, 'packages/web')).toBe(false);
+      expect(execSync).toHaveBeenCalledWith('git log --format=%H HEAD -- "packages/web"', { encoding: 'utf8' });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const {
+  DEFAULT_RELEASE_NOTE_SECTIONS,
+  parseReleaseNoteSections,
+  categorizePullRequests,
+  formatPullRequestLink,
+  formatCategorizedNotes
+} = require('../src/notes');
+
+function pullRequest(number, title, author, labels = []) {
+  return { number, title, url: `https://github.com/o/r/pull/${number}`, author, labels };
+}
+
+const pullRequests = [
+  pullRequest(3, 'feat: add search', 'octo', ['minor']),
+  pullRequest(4, 'feat!: drop Node 18', 'octo'),
+  pullRequest(5, 'Fix typo', 'hubot', ['bug']),
+  pullRequest(6, 'Bump jest', 'dependabot[bot]', ['dependencies']),
+  pullRequest(7, 'Update docs', null),
+  pullRequest(8, 'fix: CI cache', 'octo', ['ignore-for-release']),
+  pullRequest(9, 'chore(deps): bump js-yaml', 'renovate[bot]')
+];
+
+describe('notes', () => {
+  describe('parseReleaseNoteSections', () => {
+    test('parses the default sections', () => {
+      const sections = parseReleaseNoteSections(DEFAULT_RELEASE_NOTE_SECTIONS);
+
+      expect(sections.map(section => section.title)).toEqual([
+        'Breaking Changes',
+        'Features',
+        'Fixes',
+        'Dependencies',
+        'Other'
+      ]);
+      expect(sections[0]).toEqual({
+        title: 'Breaking Changes',
+        labels: 'major\nbreaking-change',
+        types: ['!'],
+        scopes: [],
+        catchAll: false
+      });
+      expect(sections[3]).toEqual({
+        title: 'Dependencies',
+        labels: 'dependencies',
+        types: [],
+        scopes: ['deps'],
+        catchAll: false
+      });
+      expect(sections[4]).toEqual({ title: 'Other', labels: '', types: [], scopes: [], catchAll: true });
+    });
+
+    test('rejects entries without a title or matchers', () => {
+      expect(() => parseReleaseNoteSections('Features')).toThrow(
+        'Invalid release-notes-sections entry: Features. Expected Title: label, type:feat (or Title: * for the rest)'
+      );
+      expect(() => parseReleaseNoteSections(': feat')).toThrow('Invalid release-notes-sections entry: : feat');
+      expect(() => parseReleaseNoteSections('Features:')).toThrow('Invalid release-notes-sections entry: Features:');
+    });
+
+    test('rejects invalid label patterns', () => {
+      expect(() => parseReleaseNoteSections('Features: /[/')).toThrow('Invalid label pattern /[/');
+    });
+  });
+
+  describe('categorizePullRequests', () => {
+    test('groups PRs by label or Conventional Commit type, first matching section wins', () => {
+      const sections = parseReleaseNoteSections(DEFAULT_RELEASE_NOTE_SECTIONS);
+      const grouped = categorizePullRequests(pullRequests, sections, 'ignore-for-release');
+
+      expect(grouped.map(({ title, pullRequests: entries }) => [title, entries.map(entry => entry.number)])).toEqual([
+        ['Breaking Changes', [4]],
+        ['Features', [3]],
+        ['Fixes', [5]],
+        ['Dependencies', [6, 9]],
+        ['Other', [7]]
+      ]);
+    });
+
+    test('omits empty sections and drops unmatched PRs without a catch-all section', () => {
+      const sections = parseReleaseNoteSections('Features: type:feat\nDocs: documentation\nFixes: type:fix');
+
+      expect(categorizePullRequests(pullRequests, sections)).toEqual([
+        { title: 'Features', pullRequests: [pullRequests[0], pullRequests[1]] },
+        { title: 'Fixes', pullRequests: [pullRequests[5]] }
+      ]);
+    });
+  });
+
+  describe('formatPullRequestLink', () => {
+    test('links the PR and its author', () => {
+      expect(formatPullRequestLink(pullRequests[0])).toBe(
+        '- feat: add search ([#3](https://github.com/o/r/pull/3)) by [@octo](https://github.com/octo)'
+      );
+      expect(formatPullRequestLink({ number: 9, title: 'Tidy up', author: null })).toBe('- Tidy up (#9)');
+    });
+  });
+
+  describe('formatCategorizedNotes', () => {
+    test('renders one heading per non-empty section', () => {
+      const notes = formatCategorizedNotes(pullRequests.slice(2, 4), {
+        releaseNotesSections: DEFAULT_RELEASE_NOTE_SECTIONS,
+        releaseNotesExcludeLabels: 'ignore-for-release'
+      });
+
+      expect(notes).toBe(
+        '### Fixes\n\n' +
+        '- Fix typo ([#5](https://github.com/o/r/pull/5)) by [@hubot](https://github.com/hubot)\n\n' +
+        '### Dependencies\n\n' +
+        '- Bump jest ([#6](https://github.com/o/r/pull/6)) by [@dependabot[bot]](https://github.com/apps/dependabot)'
+      );
+    });
+  });
+});
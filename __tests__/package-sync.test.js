@@ -0,0 +1,164 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('fs', () => ({
+  existsSync: jest.fn(),
+  readFileSync: jest.fn(),
+  writeFileSync: jest.fn(),
+  readdirSync: jest.fn()
+}));
+
+const core = require('@actions/core');
+const fs = require('fs');
+const {
+  syncLockfiles,
+  bumpDependencyRange,
+  listWorkspaceManifests,
+  updateWorkspaceDependencies
+} = require('../src/package-sync');
+
+function setupFiles(files, directories = {}) {
+  fs.existsSync.mockImplementation(filePath => filePath in files || filePath in directories);
+  fs.readFileSync.mockImplementation(filePath => {
+    const content = files[filePath];
+    return typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+  });
+  fs.readdirSync.mockImplementation(directory =>
+    (directories[directory] || []).map(name => ({ name, isDirectory: () => true }))
+  );
+}
+
+function writtenJson(filePath) {
+  const call = fs.writeFileSync.mock.calls.find(([writtenPath]) => writtenPath === filePath);
+  return call ? JSON.parse(call[1]) : null;
+}
+
+describe('package-sync', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('syncLockfiles', () => {
+    test('updates the root version entries of package-lock.json', () => {
+      setupFiles({
+        'package-lock.json': {
+          name: 'demo',
+          version: '1.2.3',
+          lockfileVersion: 3,
+          packages: { '': { name: 'demo', version: '1.2.3' }, 'node_modules/a': { version: '1.2.3' } }
+        }
+      });
+
+      expect(syncLockfiles('package.json', 'v1.3.0')).toEqual(['package-lock.json']);
+
+      const lockfile = writtenJson('package-lock.json');
+      expect(lockfile.version).toBe('1.3.0');
+      expect(lockfile.packages[''].version).toBe('1.3.0');
+      expect(lockfile.packages['node_modules/a'].version).toBe('1.2.3');
+      expect(core.info).toHaveBeenCalledWith('✅ Updated package-lock.json entry for the root package to 1.3.0');
+    });
+
+    test('updates npm-shrinkwrap.json and keeps its indentation', () => {
+      setupFiles({
+        'npm-shrinkwrap.json': '{\n    "version": "1.2.3",\n    "packages": {\n        "": { "version": "1.2.3" }\n    }\n}\n'
+      });
+
+      expect(syncLockfiles('package.json', 'v2.0.0')).toEqual(['npm-shrinkwrap.json']);
+      expect(fs.writeFileSync.mock.calls[0][1]).toContain('\n    "version": "2.0.0"');
+    });
+
+    test('updates the workspace entry of a package in the root lockfile', () => {
+      setupFiles({
+        'package-lock.json': {
+          version: '0.0.0',
+          packages: { '': { version: '0.0.0' }, 'packages/api': { name: '@acme/api', version: '1.2.0' } }
+        }
+      });
+
+      expect(syncLockfiles('packages/api/package.json', 'v1.3.0')).toEqual(['package-lock.json']);
+
+      const lockfile = writtenJson('package-lock.json');
+      expect(lockfile.version).toBe('0.0.0');
+      expect(lockfile.packages['packages/api'].version).toBe('1.3.0');
+    });
+
+    test('does nothing without lockfiles or when already in sync', () => {
+      setupFiles({});
+      expect(syncLockfiles('package.json', 'v1.0.0')).toEqual([]);
+
+      setupFiles({ 'package-lock.json': { version: '1.0.0', packages: { '': { version: '1.0.0' } } } });
+      expect(syncLockfiles('package.json', 'v1.0.0')).toEqual([]);
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bumpDependencyRange', () => {
+    test('keeps the range operator and protocol', () => {
+      expect(bumpDependencyRange('^1.2.0', '1.3.0')).toBe('^1.3.0');
+      expect(bumpDependencyRange('~1.2.0', '1.3.0')).toBe('~1.3.0');
+      expect(bumpDependencyRange('1.2.0', '1.3.0')).toBe('1.3.0');
+      expect(bumpDependencyRange('>=1.2.0', '1.3.0')).toBe('>=1.3.0');
+      expect(bumpDependencyRange('workspace:^1.2.0', '1.3.0')).toBe('workspace:^1.3.0');
+    });
+
+    test('leaves wildcard and non-version ranges alone', () => {
+      expect(bumpDependencyRange('*', '1.3.0')).toBeNull();
+      expect(bumpDependencyRange('workspace:*', '1.3.0')).toBeNull();
+      expect(bumpDependencyRange('file:../api', '1.3.0')).toBeNull();
+      expect(bumpDependencyRange('^1.2.0 || ^2.0.0', '1.3.0')).toBeNull();
+    });
+  });
+
+  describe('listWorkspaceManifests', () => {
+    test('expands workspace globs from the root manifest', () => {
+      setupFiles(
+        { 'packages/api/package.json': {}, 'packages/web/package.json': {}, 'tools/cli/package.json': {} },
+        { '.': ['packages', 'tools'], packages: ['api', 'web', 'docs'] }
+      );
+
+      expect(listWorkspaceManifests({ workspaces: { packages: ['packages/*', 'tools/cli', '!packages/docs'] } })).toEqual([
+        'package.json',
+        'packages/api/package.json',
+        'packages/web/package.json',
+        'tools/cli/package.json'
+      ]);
+    });
+  });
+
+  describe('updateWorkspaceDependencies', () => {
+    test('bumps ranges referencing the released package in manifests and the lockfile', () => {
+      setupFiles(
+        {
+          'package.json': { name: 'root', workspaces: ['packages/*'], devDependencies: { '@acme/api': '*' } },
+          'packages/api/package.json': { name: '@acme/api', version: '1.3.0' },
+          'packages/web/package.json': { name: '@acme/web', dependencies: { '@acme/api': '^1.2.0' } },
+          'package-lock.json': {
+            packages: {
+              '': { devDependencies: { '@acme/api': '*' } },
+              'packages/web': { dependencies: { '@acme/api': '^1.2.0' } }
+            }
+          }
+        },
+        { packages: ['api', 'web'] }
+      );
+
+      expect(updateWorkspaceDependencies('packages/api/package.json', 'v1.3.0')).toEqual([
+        'packages/web/package.json',
+        'package-lock.json'
+      ]);
+      expect(writtenJson('packages/web/package.json').dependencies['@acme/api']).toBe('^1.3.0');
+      expect(writtenJson('package-lock.json').packages['packages/web'].dependencies['@acme/api']).toBe('^1.3.0');
+      expect(writtenJson('package.json')).toBeNull();
+    });
+
+    test('skips packages without a name', () => {
+      setupFiles({ 'package.json': { workspaces: [] } });
+
+      expect(updateWorkspaceDependencies('package.json', 'v1.0.0')).toEqual([]);
+      expect(core.warning).toHaveBeenCalledWith('No package name in package.json, skipping workspace dependency update');
+    });
+  });
+});
@@ -0,0 +1,268 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+const core = require('@actions/core');
+const {
+  parseMaxReleaseTypes,
+  matchesBranchPattern,
+  findMaxReleaseType,
+  findConflictingLabels,
+  hasTeamApproval,
+  enforceReleasePolicy
+} = require('../src/policy');
+
+describe('policy', () => {
+  const inputs = {
+    majorLabel: 'major',
+    minorLabel: 'minor',
+    patchLabel: 'patch',
+    versionSource: 'labels',
+    failOnConflictingLabels: true,
+    maxReleaseTypes: '',
+    majorApprovalLabel: '',
+    majorApprovalTeam: ''
+  };
+
+  function pullRequestContext(labels, baseRef = 'main') {
+    return {
+      repo: { owner: 'octocat', repo: 'demo-repo' },
+      ref: 'refs/pull/7/merge',
+      payload: {
+        pull_request: {
+          number: 7,
+          base: { ref: baseRef },
+          labels: labels.map(name => ({ name }))
+        }
+      }
+    };
+  }
+
+  function octokitWithReviews(reviews, members = []) {
+    return {
+      paginate: jest.fn().mockResolvedValue(reviews),
+      rest: {
+        pulls: { listReviews: jest.fn() },
+        teams: {
+          getMembershipForUserInOrg: jest.fn().mockImplementation(({ username }) => {
+            if (members.includes(username)) {
+              return Promise.resolve({ data: { state: 'active' } });
+            }
+            return Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }));
+          })
+        }
+      }
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseMaxReleaseTypes', () => {
+    test('parses branch rules in order', () => {
+      expect(parseMaxReleaseTypes('main:minor\nrelease/*:patch')).toEqual([
+        { branch: 'main', releaseType: 'minor' },
+        { branch: 'release/*', releaseType: 'patch' }
+      ]);
+    });
+
+    test('rejects malformed entries', () => {
+      expect(() => parseMaxReleaseTypes('main')).toThrow('Invalid max-release-types entry: main');
+      expect(() => parseMaxReleaseTypes('main:huge')).toThrow('Invalid max-release-types entry: main:huge');
+    });
+  });
+
+  describe('matchesBranchPattern', () => {
+    test('supports single and double star globs', () => {
+      expect(matchesBranchPattern('release/1.x', 'release/*')).toBe(true);
+      expect(matchesBranchPattern('release/1.x/hotfix', 'release/*')).toBe(false);
+      expect(matchesBranchPattern('release/1.x/hotfix', 'release/**')).toBe(true);
+      expect(matchesBranchPattern('main', 'main')).toBe(true);
+    });
+
+    test('uses the first matching rule', () => {
+      const rules = parseMaxReleaseTypes('release/legacy:none,release/*:patch');
+      expect(findMaxReleaseType('release/legacy', rules)).toBe('none');
+      expect(findMaxReleaseType('release/2.x', rules)).toBe('patch');
+      expect(findMaxReleaseType('main', rules)).toBeNull();
+    });
+  });
+
+  describe('findConflictingLabels', () => {
+    test('lists every bump label present on the PR', () => {
+      expect(findConflictingLabels(['major', 'docs', 'patch'], inputs)).toEqual(['major', 'patch']);
+    });
+
+    test('treats aliases of the same bump as a single label', () => {
+      const aliasInputs = { ...inputs, majorLabel: 'major, breaking-*' };
+      expect(findConflictingLabels(['Major', 'breaking-change'], aliasInputs)).toEqual(['Major']);
+    });
+  });
+
+  describe('hasTeamApproval', () => {
+    test('accepts an approval from an active team member', async () => {
+      const octokit = octokitWithReviews(
+        [
+          { user: { login: 'outsider' }, state: 'APPROVED' },
+          { user: { login: 'lead' }, state: 'APPROVED' }
+        ],
+        ['lead']
+      );
+
+      await expect(hasTeamApproval(octokit, pullRequestContext([]), 'maintainers')).resolves.toBe(true);
+      expect(octokit.rest.teams.getMembershipForUserInOrg).toHaveBeenCalledWith({
+        org: 'octocat',
+        team_slug: 'maintainers',
+        username: 'lead'
+      });
+      expect(core.info).toHaveBeenCalledWith('Major release approved by lead (octocat/maintainers)');
+    });
+
+    test('ignores approvals that were later superseded', async () => {
+      const octokit = octokitWithReviews(
+        [
+          { user: { login: 'lead' }, state: 'APPROVED' },
+          { user: { login: 'lead' }, state: 'CHANGES_REQUESTED' },
+          { user: { login: 'lead' }, state: 'COMMENTED' }
+        ],
+        ['lead']
+      );
+
+      await expect(hasTeamApproval(octokit, pullRequestContext([]), 'acme/maintainers')).resolves.toBe(false);
+      expect(octokit.rest.teams.getMembershipForUserInOrg).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enforceReleasePolicy', () => {
+    test('fails on conflicting release labels', async () => {
+      await expect(
+        enforceReleasePolicy({}, pullRequestContext(['major', 'patch']), inputs, 'pr-merge', 'major')
+      ).rejects.toThrow('Conflicting release labels: major, patch. Use exactly one release label');
+    });
+
+    test('allows conflicting labels when the check is disabled', async () => {
+      await expect(
+        enforceReleasePolicy(
+          {},
+          pullRequestContext(['minor', 'patch']),
+          { ...inputs, failOnConflictingLabels: false },
+          'pr-merge',
+          'minor'
+        )
+      ).resolves.toBeUndefined();
+    });
+
+    test('rejects bumps above the branch maximum', async () => {
+      await expect(
+        enforceReleasePolicy(
+          {},
+          pullRequestContext(['minor'], 'release/1.x'),
+          { ...inputs, maxReleaseTypes: 'release/*:patch' },
+          'pr-merge',
+          'minor'
+        )
+      ).rejects.toThrow('Release type minor is not allowed on branch release/1.x (maximum: patch)');
+    });
+
+    test('treats graduate as a major bump', async () => {
+      await expect(
+        enforceReleasePolicy(
+          {},
+          pullRequestContext(['graduate-to-1.0']),
+          { ...inputs, maxReleaseTypes: 'main:minor' },
+          'pr-merge',
+          'graduate'
+        )
+      ).rejects.toThrow('Release type graduate is not allowed on branch main (maximum: minor)');
+    });
+
+    test('applies branch maximums to manual runs', async () => {
+      const context = { repo: { owner: 'octocat', repo: 'demo-repo' }, ref: 'refs/heads/main', payload: {} };
+
+      await expect(
+        enforceReleasePolicy({}, context, { ...inputs, maxReleaseTypes: 'main:minor' }, 'manual', 'major')
+      ).rejects.toThrow('Release type major is not allowed on branch main (maximum: minor)');
+    });
+
+    test('requires the approval label for majors', async () => {
+      const policyInputs = { ...inputs, majorApprovalLabel: 'major-approved' };
+
+      await expect(
+        enforceReleasePolicy({}, pullRequestContext(['major']), policyInputs, 'pr-merge', 'major')
+      ).rejects.toThrow('Major releases require the "major-approved" label');
+      await expect(
+        enforceReleasePolicy({}, pullRequestContext(['major', 'major-approved']), policyInputs, 'pr-merge', 'major')
+      ).resolves.toBeUndefined();
+    });
+
+    test('matches the approval label against label patterns', async () => {
+      const policyInputs = { ...inputs, majorApprovalLabel: 'Major-Approved\napproved:*' };
+      const context = pullRequestContext(['major', 'approved:release-team']);
+
+      await expect(enforceReleasePolicy({}, context, policyInputs, 'pr-merge', 'major')).resolves.toBeUndefined();
+      await expect(
+        enforceReleasePolicy({}, pullRequestContext(['major', 'major-approved']), policyInputs, 'pr-merge', 'major')
+      ).resolves.toBeUndefined();
+      await expect(
+        enforceReleasePolicy({}, pullRequestContext(['major']), policyInputs, 'pr-merge', 'major')
+      ).rejects.toThrow('Major releases require the "Major-Approved, approved:*" label');
+    });
+
+    test('accepts a team approval instead of the label', async () => {
+      const octokit = octokitWithReviews([{ user: { login: 'lead' }, state: 'APPROVED' }], ['lead']);
+      const policyInputs = { ...inputs, majorApprovalLabel: 'major-approved', majorApprovalTeam: 'maintainers' };
+
+      await expect(
+        enforceReleasePolicy(octokit, pullRequestContext(['major']), policyInputs, 'pr-merge', 'major')
+      ).resolves.toBeUndefined();
+    });
+
+    test('lists every accepted approval when none is present', async () => {
+      const octokit = octokitWithReviews([]);
+      const policyInputs = { ...inputs, majorApprovalLabel: 'major-approved', majorApprovalTeam: 'acme/leads' };
+
+      await expect(
+        enforceReleasePolicy(octokit, pullRequestContext(['major']), policyInputs, 'pr-open', 'major')
+      ).rejects.toThrow(
+        'Major releases require the "major-approved" label or an approving review from a member of acme/leads'
+      );
+    });
+
+    test('checks the merged PR that carried the major label on aggregated releases', async () => {
+      const context = { repo: { owner: 'octocat', repo: 'demo-repo' }, ref: 'refs/heads/main', payload: {} };
+      const policyInputs = { ...inputs, majorApprovalLabel: 'major-approved', majorApprovalTeam: 'acme/leads' };
+      const octokit = octokitWithReviews([{ user: { login: 'lead' }, state: 'APPROVED' }], ['lead']);
+      const unapproved = { number: 12, title: 'Drop Node 18', labels: ['major'] };
+
+      await expect(
+        enforceReleasePolicy(octokitWithReviews([]), context, policyInputs, 'push-main', 'major', unapproved)
+      ).rejects.toThrow(
+        'Major releases require the "major-approved" label or an approving review from a member of acme/leads on #12'
+      );
+      await expect(
+        enforceReleasePolicy(octokit, context, policyInputs, 'push-main', 'major', unapproved)
+      ).resolves.toBeUndefined();
+      expect(octokit.paginate).toHaveBeenCalledWith(
+        octokit.rest.pulls.listReviews,
+        expect.objectContaining({ pull_number: 12 })
+      );
+      await expect(
+        enforceReleasePolicy({}, context, policyInputs, 'push-main', 'graduate', {
+          ...unapproved,
+          labels: ['graduate-to-1.0', 'major-approved']
+        })
+      ).resolves.toBeUndefined();
+    });
+
+    test('does not require approval for minor releases', async () => {
+      const policyInputs = { ...inputs, majorApprovalLabel: 'major-approved' };
+
+      await expect(
+        enforceReleasePolicy({}, pullRequestContext(['minor']), policyInputs, 'pr-merge', 'minor')
+      ).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../src/commits', () => ({
+  getCommitsSince: jest.fn()
+}));
+
+const core = require('@actions/core');
+const { getCommitsSince } = require('../src/commits');
+const {
+  MAX_COMMIT_LOOKUPS,
+  listMergedPullRequestsSince,
+  determineReleaseTypeFromPullRequests
+} = require('../src/pulls');
+
+describe('pulls', () => {
+  const context = { repo: { owner: 'octocat', repo: 'demo-repo' } };
+  const inputs = {
+    majorLabel: 'major',
+    minorLabel: 'minor',
+    patchLabel: 'patch',
+    prereleaseLabel: 'prerelease',
+    promoteLabel: 'release:promote',
+    graduateLabel: 'graduate-to-1.0'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('listMergedPullRequestsSince', () => {
+    test('collects merged PRs for every commit since the tag, without duplicates', async () => {
+      getCommitsSince.mockReturnValue([{ hash: 'aaa' }, { hash: 'bbb' }, { hash: 'ccc' }]);
+      const pullsByCommit = {
+        aaa: [{ number: 9, title: 'Fix', html_url: 'u9', merged_at: '2026-01-02', user: { login: 'a' }, labels: [] }],
+        bbb: [
+          { number: 4, title: 'Feat', html_url: 'u4', merged_at: '2026-01-01', labels: [{ name: 'minor' }] },
+          { number: 11, title: 'Open', html_url: 'u11', merged_at: null, labels: [] }
+        ],
+        ccc: [{ number: 9, title: 'Fix', html_url: 'u9', merged_at: '2026-01-02', user: { login: 'a' }, labels: [] }]
+      };
+      const octokit = {
+        rest: {
+          repos: {
+            listPullRequestsAssociatedWithCommit: jest.fn(({ commit_sha }) =>
+              Promise.resolve({ data: pullsByCommit[commit_sha] })
+            )
+          }
+        }
+      };
+
+      await expect(listMergedPullRequestsSince(octokit, context, 'v1.2.3')).resolves.toEqual([
+        { number: 4, title: 'Feat', url: 'u4', author: null, labels: ['minor'] },
+        { number: 9, title: 'Fix', url: 'u9', author: 'a', labels: [] }
+      ]);
+      expect(getCommitsSince).toHaveBeenCalledWith('v1.2.3', null);
+      expect(octokit.rest.repos.listPullRequestsAssociatedWithCommit).toHaveBeenCalledWith({
+        owner: 'octocat',
+        repo: 'demo-repo',
+        commit_sha: 'aaa'
+      });
+    });
+
+    test('stops looking up commits past the limit instead of exhausting the rate limit', async () => {
+      const commits = Array.from({ length: MAX_COMMIT_LOOKUPS + 5 }, (value, index) => ({ hash: `c${index}` }));
+      getCommitsSince.mockReturnValue(commits);
+      const octokit = {
+        rest: { repos: { listPullRequestsAssociatedWithCommit: jest.fn().mockResolvedValue({ data: [] }) } }
+      };
+
+      await listMergedPullRequestsSince(octokit, context, null);
+
+      expect(octokit.rest.repos.listPullRequestsAssociatedWithCommit).toHaveBeenCalledTimes(MAX_COMMIT_LOOKUPS);
+      expect(octokit.rest.repos.listPullRequestsAssociatedWithCommit).toHaveBeenLastCalledWith(
+        expect.objectContaining({ commit_sha: `c${MAX_COMMIT_LOOKUPS - 1}` })
+      );
+      expect(core.warning).toHaveBeenCalledWith(
+        `Found ${MAX_COMMIT_LOOKUPS + 5} commits since the first commit; only looking up pull requests for the ` +
+        `${MAX_COMMIT_LOOKUPS} most recent to stay within the API rate limit`
+      );
+    });
+
+    test('only looks at commits touching a package path', async () => {
+      getCommitsSince.mockReturnValue([]);
+
+      const pullRequests = await listMergedPullRequestsSince({ rest: {} }, context, 'api@1.2.0', 'packages/api');
+
+      expect(pullRequests).toEqual([]);
+      expect(getCommitsSince).toHaveBeenCalledWith('api@1.2.0', 'packages/api');
+    });
+  });
+
+  describe('determineReleaseTypeFromPullRequests', () => {
+    const pullRequest = (number, labels) => ({ number, title: `PR ${number}`, labels });
+
+    test('picks the highest bump across all PRs', () => {
+      const pullRequests = [pullRequest(1, ['patch']), pullRequest(2, ['Minor']), pullRequest(3, [])];
+
+      expect(determineReleaseTypeFromPullRequests(pullRequests, inputs)).toEqual({
+        releaseType: 'minor',
+        isPrerelease: false,
+        matchedLabel: 'Minor',
+        skipReason: null,
+        pullRequest: pullRequests[1]
+      });
+      expect(core.info).toHaveBeenCalledWith('#2 PR 2: minor');
+    });
+
+    test('returns none without release labels', () => {
+      expect(determineReleaseTypeFromPullRequests([pullRequest(1, ['docs'])], inputs)).toEqual({
+        releaseType: 'none',
+        isPrerelease: false,
+        matchedLabel: null,
+        skipReason: null,
+        pullRequest: null
+      });
+    });
+
+    test('leaves out PRs marked to skip the release', () => {
+      const skipInputs = { ...inputs, skipReleaseLabel: 'skip-release' };
+      const pullRequests = [
+        pullRequest(1, ['major', 'skip-release']),
+        { number: 2, title: 'Refactor [skip release]', labels: ['minor'] },
+        pullRequest(3, ['patch'])
+      ];
+
+      expect(determineReleaseTypeFromPullRequests(pullRequests, skipInputs).releaseType).toBe('patch');
+      expect(core.info).toHaveBeenCalledWith('#1 PR 1: skipped (Label "skip-release" requests no release)');
+    });
+
+    test('only treats the batch as a prerelease when every releasing PR is one', () => {
+      const allPrerelease = [pullRequest(1, ['minor', 'prerelease']), pullRequest(2, ['patch', 'prerelease'])];
+      const mixed = [pullRequest(1, ['minor', 'prerelease']), pullRequest(2, ['patch'])];
+
+      expect(determineReleaseTypeFromPullRequests(allPrerelease, inputs).isPrerelease).toBe(true);
+      expect(determineReleaseTypeFromPullRequests(mixed, inputs).isPrerelease).toBe(false);
+    });
+
+    test('lets bumps outrank promotions and graduate outrank bumps', () => {
+      expect(
+        determineReleaseTypeFromPullRequests([pullRequest(1, ['release:promote']), pullRequest(2, ['patch'])], inputs)
+          .releaseType
+      ).toBe('patch');
+      expect(
+        determineReleaseTypeFromPullRequests([pullRequest(1, ['graduate-to-1.0']), pullRequest(2, ['major'])], inputs)
+          .releaseType
+      ).toBe('graduate');
+    });
+  });
+});
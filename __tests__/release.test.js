@@ -18,6 +18,9 @@ const {
   createMajorReleaseNotes,
   copyReleaseAssets,
   getReleaseByTag,
+  listRepositoryTags,
+  listReleaseTags,
+  aggregatePrereleaseNotes,
   updateRelease
 } = require('../src/release');
 
@@ -64,6 +67,27 @@ describe('release', () => {
       expect(release).toEqual({ id: 42, html_url: 'https://example.com/release/42' });
     });
 
+    test('passes make_latest through for maintenance releases', async () => {
+      const octokit = {
+        rest: {
+          repos: {
+            createRelease: jest.fn().mockResolvedValue({ data: { id: 43 } })
+          }
+        }
+      };
+
+      await createRelease(octokit, context, {
+        tagName: 'v1.4.3',
+        name: 'v1.4.3',
+        body: 'notes',
+        makeLatest: 'false'
+      });
+
+      expect(octokit.rest.repos.createRelease).toHaveBeenCalledWith(
+        expect.objectContaining({ tag_name: 'v1.4.3', make_latest: 'false' })
+      );
+    });
+
     test('logs and rethrows create release errors', async () => {
       const octokit = {
         rest: {
@@ -355,6 +379,81 @@ describe('release', () => {
     });
   });
 
+  describe('listRepositoryTags', () => {
+    test('paginates tag names', async () => {
+      const octokit = {
+        paginate: jest.fn().mockResolvedValue([{ name: 'v1.2.3' }, { name: 'v1' }]),
+        rest: { repos: { listTags: jest.fn() } }
+      };
+
+      await expect(listRepositoryTags(octokit, context)).resolves.toEqual(['v1.2.3', 'v1']);
+      expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.repos.listTags, {
+        owner: 'octocat',
+        repo: 'demo-repo',
+        per_page: 100
+      });
+    });
+  });
+
+  describe('listReleaseTags', () => {
+    test('returns tags of published releases', async () => {
+      const octokit = {
+        paginate: jest.fn().mockResolvedValue([
+          { tag_name: 'v1.2.3', draft: false },
+          { tag_name: 'v1.3.0', draft: true },
+          { tag_name: 'v1.3.0-beta.1', draft: false }
+        ]),
+        rest: { repos: { listReleases: jest.fn() } }
+      };
+
+      await expect(listReleaseTags(octokit, context)).resolves.toEqual(['v1.2.3', 'v1.3.0-beta.1']);
+      expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.repos.listReleases, {
+        owner: 'octocat',
+        repo: 'demo-repo',
+        per_page: 100
+      });
+    });
+  });
+
+  describe('aggregatePrereleaseNotes', () => {
+    test('joins notes of existing prerelease releases and skips missing ones', async () => {
+      const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+      const octokit = {
+        rest: {
+          repos: {
+            getReleaseByTag: jest.fn(({ tag }) => {
+              if (tag === 'v2.0.0-rc.1') {
+                return Promise.resolve({ data: { name: 'v2.0.0-rc.1', body: '- feat: one' } });
+              }
+              if (tag === 'v2.0.0-rc.2') {
+                return Promise.resolve({ data: { name: 'v2.0.0-rc.2', body: '- fix: two' } });
+              }
+              return Promise.reject(notFound);
+            })
+          }
+        }
+      };
+
+      const notes = await aggregatePrereleaseNotes(octokit, context, ['v2.0.0-rc.1', 'v2.0.0-rc.2', 'v2.0.0-rc.3']);
+
+      expect(notes).toBe('### v2.0.0-rc.1\n\n- feat: one\n\n### v2.0.0-rc.2\n\n- fix: two');
+      expect(core.info).toHaveBeenCalledWith('No release found for prerelease tag v2.0.0-rc.3, skipping its notes');
+    });
+
+    test('warns and continues when a release cannot be loaded', async () => {
+      const octokit = {
+        rest: {
+          repos: {
+            getReleaseByTag: jest.fn().mockRejectedValue(new Error('server error'))
+          }
+        }
+      };
+
+      await expect(aggregatePrereleaseNotes(octokit, context, ['v2.0.0-rc.1'])).resolves.toBe('');
+      expect(core.warning).toHaveBeenCalledWith('Failed to load release notes for v2.0.0-rc.1: server error');
+    });
+  });
+
   describe('updateRelease', () => {
     test('updates release and returns response data', async () => {
       const octokit = {
@@ -13,8 +13,16 @@ const {
   detectTriggerMode,
   detectExecutionMode,
   parseLabels,
+  parseLabelPatterns,
+  findMatchingLabel,
+  stripVersionPrefix,
   parseVersion,
   formatVersion,
+  formatTag,
+  formatTagPattern,
+  parseTag,
+  formatBaseTag,
+  formatVersionOutput,
   validateInputs,
   sleep
 } = require('../src/utils');
@@ -59,8 +67,17 @@ describe('utils', () => {
       expect(detectTriggerMode('auto-detect', context)).toBe('push-main');
     });
 
+    test('detects push to other branches', () => {
+      const context = { eventName: 'push', ref: 'refs/heads/next' };
+      expect(detectTriggerMode('auto-detect', context)).toBe('push-branch');
+    });
+
+    test('detects scheduled runs', () => {
+      expect(detectTriggerMode('auto-detect', { eventName: 'schedule' })).toBe('schedule');
+    });
+
     test('returns unknown for unsupported events', () => {
-      expect(detectTriggerMode('auto-detect', { eventName: 'schedule' })).toBe('unknown');
+      expect(detectTriggerMode('auto-detect', { eventName: 'release' })).toBe('unknown');
     });
   });
 
@@ -112,7 +129,9 @@ describe('utils', () => {
       majorLabel: 'major',
       minorLabel: 'minor',
       patchLabel: 'patch',
-      prereleaseLabel: 'prerelease'
+      prereleaseLabel: 'prerelease',
+      promoteLabel: 'release:promote',
+      graduateLabel: 'graduate-to-1.0'
     };
 
     test('parses PR labels and applies major > minor > patch precedence', () => {
@@ -126,7 +145,9 @@ describe('utils', () => {
 
       expect(parseLabels(context, labelInputs, 'pr-merge')).toEqual({
         releaseType: 'major',
-        isPrerelease: true
+        isPrerelease: true,
+        matchedLabel: 'major',
+        skipReason: null
       });
       expect(core.info).toHaveBeenCalledWith('PR labels: patch, minor, major, prerelease');
     });
@@ -142,7 +163,9 @@ describe('utils', () => {
 
       expect(parseLabels(context, labelInputs, 'pr-open')).toEqual({
         releaseType: 'patch',
-        isPrerelease: false
+        isPrerelease: false,
+        matchedLabel: 'patch',
+        skipReason: null
       });
     });
 
@@ -150,7 +173,9 @@ describe('utils', () => {
       const context = { payload: { pull_request: { labels: [{ name: 'docs' }] } } };
       expect(parseLabels(context, labelInputs, 'pr-merge')).toEqual({
         releaseType: 'none',
-        isPrerelease: false
+        isPrerelease: false,
+        matchedLabel: null,
+        skipReason: null
       });
     });
 
@@ -158,49 +183,190 @@ describe('utils', () => {
       const context = { payload: { pull_request: { labels: [{ name: 'prerelease' }] } } };
       expect(parseLabels(context, labelInputs, 'pr-merge')).toEqual({
         releaseType: 'none',
-        isPrerelease: true
+        isPrerelease: true,
+        matchedLabel: null,
+        skipReason: null
+      });
+    });
+
+    test('promote label takes precedence over bump labels and clears prerelease', () => {
+      const context = {
+        payload: {
+          pull_request: {
+            labels: [{ name: 'major' }, { name: 'release:promote' }, { name: 'prerelease' }]
+          }
+        }
+      };
+
+      expect(parseLabels(context, labelInputs, 'pr-merge')).toEqual({
+        releaseType: 'promote',
+        isPrerelease: false,
+        matchedLabel: 'release:promote',
+        skipReason: null
+      });
+    });
+
+    test('graduate label takes precedence over other release labels', () => {
+      const context = {
+        payload: {
+          pull_request: {
+            labels: [{ name: 'minor' }, { name: 'graduate-to-1.0' }, { name: 'release:promote' }]
+          }
+        }
+      };
+
+      expect(parseLabels(context, labelInputs, 'pr-merge')).toEqual({
+        releaseType: 'graduate',
+        isPrerelease: false,
+        matchedLabel: 'graduate-to-1.0',
+        skipReason: null
+      });
+    });
+
+    test('supports promote as a manual release type', () => {
+      const manualInputs = { ...labelInputs, manualReleaseType: 'promote', manualIsPrerelease: true };
+
+      expect(parseLabels({}, manualInputs, 'manual')).toEqual({
+        releaseType: 'promote',
+        isPrerelease: false,
+        matchedLabel: null,
+        skipReason: null
       });
     });
 
     test('reads manual trigger inputs', () => {
-      core.getInput.mockReturnValue('minor');
-      core.getBooleanInput.mockReturnValue(true);
+      const manualInputs = { ...labelInputs, manualReleaseType: 'minor', manualIsPrerelease: true };
 
-      expect(parseLabels({}, labelInputs, 'manual')).toEqual({
+      expect(parseLabels({}, manualInputs, 'manual')).toEqual({
         releaseType: 'minor',
-        isPrerelease: true
+        isPrerelease: true,
+        matchedLabel: null,
+        skipReason: null
       });
-      expect(core.getInput).toHaveBeenCalledWith('manual-release-type');
-      expect(core.getBooleanInput).toHaveBeenCalledWith('manual-is-prerelease');
     });
 
-    test('uses manual defaults when manual inputs are not set', () => {
-      core.getInput.mockReturnValue('');
-      core.getBooleanInput.mockReturnValue(false);
+    test('falls back to release-type and is-prerelease on manual runs', () => {
+      const manualInputs = { ...labelInputs, manualReleaseType: '', releaseType: 'major', isPrerelease: true };
 
+      expect(parseLabels({}, manualInputs, 'manual')).toEqual({
+        releaseType: 'major',
+        isPrerelease: true,
+        matchedLabel: null,
+        skipReason: null
+      });
+    });
+
+    test('uses manual defaults when manual inputs are not set', () => {
       expect(parseLabels({}, labelInputs, 'manual')).toEqual({
         releaseType: 'patch',
-        isPrerelease: false
+        isPrerelease: false,
+        matchedLabel: null,
+        skipReason: null
       });
     });
 
     test('reads workflow-call inputs', () => {
-      core.getInput.mockReturnValue('major');
-      core.getBooleanInput.mockReturnValue(true);
+      const callInputs = { ...labelInputs, releaseType: 'major', isPrerelease: true, manualReleaseType: 'patch' };
 
-      expect(parseLabels({}, labelInputs, 'workflow-call')).toEqual({
+      expect(parseLabels({}, callInputs, 'workflow-call')).toEqual({
         releaseType: 'major',
-        isPrerelease: true
+        isPrerelease: true,
+        matchedLabel: null,
+        skipReason: null
       });
-      expect(core.getInput).toHaveBeenCalledWith('release-type');
-      expect(core.getBooleanInput).toHaveBeenCalledWith('is-prerelease');
     });
 
     test('returns defaults for unknown trigger modes', () => {
       expect(parseLabels({}, labelInputs, 'unknown')).toEqual({
         releaseType: 'none',
-        isPrerelease: false
+        isPrerelease: false,
+        matchedLabel: null,
+        skipReason: null
+      });
+    });
+
+    test('matches label aliases, globs and regex patterns case-insensitively', () => {
+      const aliasInputs = {
+        ...labelInputs,
+        majorLabel: 'semver:major, breaking-change\n/^type:\\s*breaking$/',
+        minorLabel: 'feat*, semver:minor'
+      };
+      const labelsContext = names => ({ payload: { pull_request: { labels: names.map(name => ({ name })) } } });
+
+      expect(parseLabels(labelsContext(['Type: Breaking']), aliasInputs, 'pr-merge')).toEqual({
+        releaseType: 'major',
+        isPrerelease: false,
+        matchedLabel: 'Type: Breaking',
+        skipReason: null
       });
+      expect(parseLabels(labelsContext(['Feature-Request']), aliasInputs, 'pr-merge').matchedLabel).toBe(
+        'Feature-Request'
+      );
+      expect(core.info).toHaveBeenCalledWith('Matched release label: Feature-Request (minor)');
+    });
+
+    test('reports skip-release labels and [skip release] markers without dropping the release type', () => {
+      const skipInputs = { ...labelInputs, skipReleaseLabel: 'skip-release, no-release' };
+      const prContext = (labels, title = 'Add search') => ({
+        payload: { pull_request: { title, labels: labels.map(name => ({ name })) } }
+      });
+
+      expect(parseLabels(prContext(['minor', 'No-Release']), skipInputs, 'pr-merge')).toEqual({
+        releaseType: 'minor',
+        isPrerelease: false,
+        matchedLabel: 'minor',
+        skipReason: 'Label "No-Release" requests no release'
+      });
+      expect(parseLabels(prContext(['minor'], 'Add search [Skip Release]'), skipInputs, 'pr-merge').skipReason).toBe(
+        'Found [skip release] marker'
+      );
+      expect(parseLabels(prContext(['minor']), skipInputs, 'pr-merge').skipReason).toBeNull();
+    });
+
+    test('reads the [skip release] marker from the pushed head commit', () => {
+      const context = { payload: { head_commit: { message: 'chore: tidy up\n\n[skip release]' } } };
+
+      expect(parseLabels(context, labelInputs, 'push-main')).toEqual({
+        releaseType: 'none',
+        isPrerelease: false,
+        matchedLabel: null,
+        skipReason: 'Found [skip release] marker'
+      });
+    });
+  });
+
+
+  describe('parseLabelPatterns', () => {
+    test('splits names on commas and newlines but keeps regex lines whole', () => {
+      const patterns = parseLabelPatterns('major, semver:major\n/^breaking(-change)?$/\n  ');
+
+      expect(patterns).toHaveLength(3);
+      expect(patterns[2].test('BREAKING-CHANGE')).toBe(true);
+    });
+
+    test('supports * and ? globs', () => {
+      const [pattern] = parseLabelPatterns('semver:?ajor*');
+
+      expect(pattern.test('semver:major!')).toBe(true);
+      expect(pattern.test('semver:minor')).toBe(false);
+    });
+
+    test('rejects invalid regex patterns', () => {
+      expect(() => parseLabelPatterns('/(/')).toThrow('Invalid label pattern /(/');
+    });
+  });
+
+  describe('findMatchingLabel', () => {
+    test('returns the first label matched by the earliest pattern', () => {
+      expect(findMatchingLabel(['breaking-change', 'Major'], 'major, breaking-*')).toBe('Major');
+      expect(findMatchingLabel(['docs'], 'major')).toBeNull();
+      expect(findMatchingLabel(['docs'], '')).toBeNull();
+    });
+  });
+  describe('stripVersionPrefix', () => {
+    test('drops a leading v only', () => {
+      expect(stripVersionPrefix('v1.2.3')).toBe('1.2.3');
+      expect(stripVersionPrefix('1.2.3-beta.1')).toBe('1.2.3-beta.1');
     });
   });
 
@@ -210,7 +376,8 @@ describe('utils', () => {
         major: 1,
         minor: 2,
         patch: 3,
-        prerelease: null
+        prerelease: null,
+        build: null
       });
     });
 
@@ -219,7 +386,8 @@ describe('utils', () => {
         major: 2,
         minor: 5,
         patch: 9,
-        prerelease: null
+        prerelease: null,
+        build: null
       });
     });
 
@@ -228,16 +396,39 @@ describe('utils', () => {
         major: 1,
         minor: 2,
         patch: 3,
-        prerelease: 'beta.1'
+        prerelease: 'beta.1',
+        build: null
       });
     });
 
+    test('parses dot-separated prerelease identifiers containing hyphens', () => {
+      expect(parseVersion('v1.0.0-alpha-1.beta.2')).toEqual({
+        major: 1,
+        minor: 0,
+        patch: 0,
+        prerelease: 'alpha-1.beta.2',
+        build: null
+      });
+    });
+
+    test('preserves build metadata separately from the prerelease', () => {
+      expect(parseVersion('v1.2.3-rc.1+build.5-abc')).toEqual({
+        major: 1,
+        minor: 2,
+        patch: 3,
+        prerelease: 'rc.1',
+        build: 'build.5-abc'
+      });
+      expect(parseVersion('1.2.3+build.5').prerelease).toBeNull();
+    });
+
     test('fills missing version segments with zero', () => {
       expect(parseVersion('v7.1')).toEqual({
         major: 7,
         minor: 1,
         patch: 0,
-        prerelease: null
+        prerelease: null,
+        build: null
       });
     });
   });
@@ -250,6 +441,81 @@ describe('utils', () => {
     test('formats prerelease version', () => {
       expect(formatVersion(1, 2, 3, 'beta.1')).toBe('v1.2.3-beta.1');
     });
+
+    test('formats build metadata', () => {
+      expect(formatVersion(1, 2, 3, 'beta.1', 'sha.abc')).toBe('v1.2.3-beta.1+sha.abc');
+      expect(formatVersion(1, 2, 3, null, '5')).toBe('v1.2.3+5');
+    });
+  });
+
+  describe('formatTag', () => {
+    test('uses the v prefix by default', () => {
+      expect(formatTag('v1.2.3', {})).toBe('v1.2.3');
+    });
+
+    test('applies custom prefixes and keeps prerelease and build metadata', () => {
+      expect(formatTag('v1.2.3-beta.1+sha.abc', { tagPrefix: 'api@' })).toBe('api@1.2.3-beta.1+sha.abc');
+      expect(formatTag('v1.2.3', { tagPrefix: '' })).toBe('1.2.3');
+    });
+
+    test('applies custom formats', () => {
+      expect(formatTag('v1.2.3', { tagFormat: 'release-{major}.{minor}.{patch}' })).toBe('release-1.2.3');
+    });
+
+    test('throws for invalid versions', () => {
+      expect(() => formatTag('latest', {})).toThrow('Cannot format tag for invalid version: latest');
+    });
+  });
+
+  describe('parseTag', () => {
+    test('parses tags that match the format into v-prefixed versions', () => {
+      expect(parseTag('v1.2.3', {})).toBe('v1.2.3');
+      expect(parseTag('api@1.2.3-rc.1+build.5', { tagPrefix: 'api@' })).toBe('v1.2.3-rc.1+build.5');
+      expect(parseTag('1.2.3', { tagPrefix: '' })).toBe('v1.2.3');
+    });
+
+    test('returns null for tags outside the format', () => {
+      expect(parseTag('v1', {})).toBeNull();
+      expect(parseTag('web@1.2.3', { tagPrefix: 'api@' })).toBeNull();
+      expect(parseTag('v1.2.3', { tagPrefix: '' })).toBeNull();
+    });
+
+    test('escapes regular expression characters in the prefix', () => {
+      expect(parseTag('pkg.1.2.3', { tagPrefix: 'pkg.' })).toBe('v1.2.3');
+      expect(parseTag('pkgx1.2.3', { tagPrefix: 'pkg.' })).toBeNull();
+    });
+  });
+
+  describe('formatTagPattern', () => {
+    test('builds a glob for git tag matching', () => {
+      expect(formatTagPattern({})).toBe('v*.*.*');
+      expect(formatTagPattern({ tagPrefix: 'api@' })).toBe('api@*.*.*');
+    });
+  });
+
+  describe('formatBaseTag', () => {
+    test('uses the format up to the major component', () => {
+      expect(formatBaseTag(1, {})).toBe('v1');
+      expect(formatBaseTag(2, { tagPrefix: 'api@' })).toBe('api@2');
+      expect(formatBaseTag(3, { tagFormat: 'release-{major}.{minor}.{patch}' })).toBe('release-3');
+    });
+
+    test('includes the minor component when requested', () => {
+      expect(formatBaseTag(0, {}, 3)).toBe('v0.3');
+      expect(formatBaseTag(0, { tagPrefix: 'api@' }, 12)).toBe('api@0.12');
+    });
+  });
+
+  describe('formatVersionOutput', () => {
+    test('returns the tag by default', () => {
+      expect(formatVersionOutput('v1.2.3', { tagPrefix: 'api@', versionOutputPrefix: true })).toBe('api@1.2.3');
+    });
+
+    test('strips the prefix when disabled', () => {
+      expect(formatVersionOutput('v1.2.3-beta.1', { tagPrefix: 'api@', versionOutputPrefix: false })).toBe(
+        '1.2.3-beta.1'
+      );
+    });
   });
 
   describe('validateInputs', () => {
@@ -259,11 +525,29 @@ describe('utils', () => {
           githubToken: 'token',
           packageManager: 'npm',
           executionMode: 'release-only',
-          packageJsonMode: 'update'
+          packageJsonMode: 'verify'
         })
       ).not.toThrow();
     });
 
+    test('rejects invalid input combinations', () => {
+      expect(() =>
+        validateInputs({
+          githubToken: 'token',
+          packageManager: 'npm',
+          executionMode: 'release-only',
+          packageJsonMode: 'update',
+          versionSource: 'commits',
+          aggregatePullRequests: true,
+          requireReleaseLabel: true
+        })
+      ).toThrow(
+        'Invalid inputs: package-json-mode: update cannot be combined with execution-mode: release-only, ' +
+        'use verify or ignore, aggregate-pull-requests requires version-source: labels, ' +
+        'require-release-label requires version-source: labels'
+      );
+    });
+
     test('rejects missing github token', () => {
       expect(() =>
         validateInputs({
@@ -316,6 +600,114 @@ describe('utils', () => {
       );
     });
 
+    test('rejects invalid version source', () => {
+      expect(() =>
+        validateInputs({
+          githubToken: 'token',
+          packageManager: 'npm',
+          executionMode: 'auto-detect',
+          versionSource: 'tags'
+        })
+      ).toThrow(
+        'Invalid inputs: version-source must be one of: labels, commits'
+      );
+    });
+
+    test('rejects invalid version lookup', () => {
+      expect(() =>
+        validateInputs({
+          githubToken: 'token',
+          packageManager: 'npm',
+          executionMode: 'auto-detect',
+          versionLookup: 'describe'
+        })
+      ).toThrow('Invalid inputs: version-lookup must be one of: git, api');
+    });
+
+    test('rejects invalid release types', () => {
+      expect(() =>
+        validateInputs({
+          githubToken: 'token',
+          packageManager: 'npm',
+          executionMode: 'auto-detect',
+          releaseType: 'huge',
+          manualReleaseType: 'tiny'
+        })
+      ).toThrow(
+        'Invalid inputs: release-type must be one of: major, minor, patch, promote, graduate, ' +
+        'manual-release-type must be one of: major, minor, patch, promote, graduate'
+      );
+    });
+
+    test('rejects invalid zero-major base tag', () => {
+      expect(() =>
+        validateInputs({
+          githubToken: 'token',
+          packageManager: 'npm',
+          executionMode: 'auto-detect',
+          zeroMajorBaseTag: 'patch'
+        })
+      ).toThrow(
+        'Invalid inputs: zero-major-base-tag must be one of: major, minor'
+      );
+    });
+
+    test('rejects invalid versioning scheme', () => {
+      expect(() =>
+        validateInputs({
+          githubToken: 'token',
+          packageManager: 'npm',
+          executionMode: 'auto-detect',
+          versioningScheme: 'romver'
+        })
+      ).toThrow(
+        'Invalid inputs: versioning-scheme must be one of: semver, calver'
+      );
+    });
+
+    test('rejects tag formats without all version components', () => {
+      expect(() =>
+        validateInputs({
+          githubToken: 'token',
+          packageManager: 'npm',
+          executionMode: 'auto-detect',
+          tagFormat: '{prefix}{major}.{minor}'
+        })
+      ).toThrow(
+        'Invalid inputs: tag-format must contain {major}, {minor} and {patch}'
+      );
+    });
+
+    test('rejects invalid status check modes', () => {
+      expect(() =>
+        validateInputs({
+          githubToken: 'token',
+          packageManager: 'npm',
+          executionMode: 'auto-detect',
+          statusCheck: 'checks'
+        })
+      ).toThrow('Invalid inputs: status-check must be one of: none, check-run, commit-status');
+    });
+
+    test('rejects invalid label patterns', () => {
+      expect(() =>
+        validateInputs({
+          githubToken: 'token',
+          packageManager: 'npm',
+          executionMode: 'auto-detect',
+          majorLabel: 'major, /breaking(/'
+        })
+      ).toThrow('Invalid inputs: major-label: Invalid label pattern /breaking(/');
+      expect(() =>
+        validateInputs({
+          githubToken: 'token',
+          packageManager: 'npm',
+          executionMode: 'auto-detect',
+          majorApprovalLabel: '/approved(/'
+        })
+      ).toThrow('Invalid inputs: major-approval-label: Invalid label pattern /approved(/');
+    });
+
     test('returns all input validation errors', () => {
       expect(() =>
         validateInputs({
@@ -325,7 +717,7 @@ describe('utils', () => {
           packageJsonMode: 'sync'
         })
       ).toThrow(
-        'Invalid inputs: github-token is required, package-manager must be one of: npm, yarn, pnpm, execution-mode must be one of: auto-detect, validate, prepare, release, release-only, package-json-mode must be one of: update, verify, ignore'
+        'Invalid inputs: github-token is required, package-manager must be one of: npm, yarn, pnpm, execution-mode must be one of: auto-detect, validate, prepare, release, release-only, validate-config, package-json-mode must be one of: update, verify, ignore'
       );
     });
   });
@@ -0,0 +1,208 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('fs', () => ({
+  existsSync: jest.fn(),
+  readFileSync: jest.fn(),
+  writeFileSync: jest.fn()
+}));
+
+const core = require('@actions/core');
+const fs = require('fs');
+const {
+  VERSION_FILE_FORMATS,
+  parseVersionFiles,
+  updateVersionFile,
+  verifyVersionFile
+} = require('../src/version-files');
+
+function write(format, content, entry, version = '2.0.0') {
+  return VERSION_FILE_FORMATS[format].write(content, entry, version);
+}
+
+function read(format, content, entry) {
+  return VERSION_FILE_FORMATS[format].read(content, entry);
+}
+
+describe('version-files', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseVersionFiles', () => {
+    test('returns no entries for empty input', () => {
+      expect(parseVersionFiles('')).toEqual([]);
+    });
+
+    test('parses a JSON array of entries', () => {
+      const input = JSON.stringify([
+        { path: 'pyproject.toml', format: 'toml', key: 'project.version' },
+        { path: 'pom.xml', format: 'xml', xpath: '/project/version', mode: 'verify' }
+      ]);
+
+      expect(parseVersionFiles(input)).toHaveLength(2);
+    });
+
+    test('rejects invalid JSON and non-array values', () => {
+      expect(() => parseVersionFiles('{')).toThrow('Invalid version-files:');
+      expect(() => parseVersionFiles('{"path":"VERSION"}')).toThrow('Invalid version-files: expected a JSON array');
+    });
+
+    test('reports the offending entry', () => {
+      expect(() => parseVersionFiles('[{"format":"toml","key":"version"}]')).toThrow(
+        'Invalid version-files[0]: path is required'
+      );
+      expect(() => parseVersionFiles('[{"path":"a.ini","format":"ini"}]')).toThrow(
+        'Invalid version-files[0]: format must be one of: json, toml, yaml, xml, regex'
+      );
+      expect(() => parseVersionFiles('[{"path":"pom.xml","format":"xml","key":"version"}]')).toThrow(
+        'Invalid version-files[0]: xpath is required for xml files'
+      );
+      expect(() => parseVersionFiles('[{"path":"VERSION","format":"regex","pattern":"\\\\d+"}]')).toThrow(
+        'Invalid version-files[0]: pattern must contain a capture group for the version'
+      );
+      expect(() => parseVersionFiles('[{"path":"VERSION","format":"regex","pattern":"(.+)","mode":"sync"}]')).toThrow(
+        'Invalid version-files[0]: mode must be one of: update, verify, ignore'
+      );
+    });
+  });
+
+  describe('formats', () => {
+    test('json updates nested keys and keeps indentation', () => {
+      const content = '{\n    "name": "demo",\n    "meta": {\n        "version": "1.0.0"\n    }\n}\n';
+
+      expect(read('json', content, { key: 'meta.version' })).toBe('1.0.0');
+      expect(write('json', content, { key: 'meta.version' })).toBe(
+        '{\n    "name": "demo",\n    "meta": {\n        "version": "2.0.0"\n    }\n}\n'
+      );
+    });
+
+    test('toml updates keys inside the configured table only', () => {
+      const content = [
+        '[tool.poetry.dependencies]',
+        'version = "9.9.9"',
+        '',
+        '[project]',
+        'name = "demo"',
+        'version = "1.0.0"  # managed by CI',
+        ''
+      ].join('\n');
+
+      expect(read('toml', content, { key: 'project.version' })).toBe('1.0.0');
+      expect(write('toml', content, { key: 'project.version' })).toContain('version = "2.0.0"  # managed by CI');
+      expect(write('toml', content, { key: 'project.version' })).toContain('version = "9.9.9"');
+    });
+
+    test('toml supports top-level keys and Cargo package tables', () => {
+      expect(write('toml', 'version = \'1.0.0\'\n', { key: 'version' })).toBe('version = \'2.0.0\'\n');
+      expect(read('toml', '[package]\nname = "demo"\nversion = "0.4.1"\n', { key: 'package.version' })).toBe('0.4.1');
+    });
+
+    test('yaml updates plain and quoted scalars', () => {
+      const content = 'apiVersion: v2\nname: demo\nversion: 1.0.0 # chart\nappVersion: "1.0.0"\n';
+
+      expect(read('yaml', content, { key: 'version' })).toBe('1.0.0');
+      expect(write('yaml', content, { key: 'version' })).toBe(
+        'apiVersion: v2\nname: demo\nversion: 2.0.0 # chart\nappVersion: "1.0.0"\n'
+      );
+      expect(write('yaml', content, { key: 'appVersion' })).toContain('appVersion: "2.0.0"');
+    });
+
+    test('yaml resolves nested keys by indentation', () => {
+      const content = 'image:\n  tag: 1.0.0\nsidecar:\n  image:\n    tag: 0.1.0\n';
+
+      expect(read('yaml', content, { key: 'image.tag' })).toBe('1.0.0');
+      expect(write('yaml', content, { key: 'sidecar.image.tag' })).toBe(
+        'image:\n  tag: 1.0.0\nsidecar:\n  image:\n    tag: 2.0.0\n'
+      );
+    });
+
+    test('xml follows the xpath and skips nested matches', () => {
+      const content = [
+        '<?xml version="1.0"?>',
+        '<project>',
+        '  <!-- <version>0.0.0</version> -->',
+        '  <parent>',
+        '    <version>5.0.0</version>',
+        '  </parent>',
+        '  <packaging/>',
+        '  <version> 1.0.0 </version>',
+        '</project>'
+      ].join('\n');
+
+      expect(read('xml', content, { xpath: '/project/version' })).toBe('1.0.0');
+      expect(write('xml', content, { xpath: '/project/version' })).toContain('<version> 2.0.0 </version>');
+      expect(write('xml', content, { xpath: '/project/version' })).toContain('<version>5.0.0</version>');
+    });
+
+    test('regex replaces the first capture group', () => {
+      const content = '# generated\n__version__ = "1.0.0"\n';
+      const entry = { pattern: '^__version__ = "([^"]+)"$' };
+
+      expect(read('regex', content, entry)).toBe('1.0.0');
+      expect(write('regex', content, entry)).toBe('# generated\n__version__ = "2.0.0"\n');
+      expect(write('regex', '1.0.0\n', { pattern: '^(.+)$' })).toBe('2.0.0\n');
+    });
+
+    test('returns null when the version cannot be located', () => {
+      expect(write('toml', '[tool]\nname = "x"\n', { key: 'project.version' })).toBeNull();
+      expect(write('yaml', 'name: demo\n', { key: 'version' })).toBeNull();
+      expect(write('xml', '<project></project>', { xpath: '/project/version' })).toBeNull();
+      expect(write('regex', 'nothing', { pattern: 'v(\\d+)' })).toBeNull();
+      expect(write('json', '{"version": 1}', { key: 'version' })).toBeNull();
+    });
+  });
+
+  describe('updateVersionFile', () => {
+    test('writes the version without the v prefix', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('version: 1.0.0\n');
+
+      expect(updateVersionFile({ path: 'Chart.yaml', format: 'yaml', key: 'version' }, 'v1.1.0')).toBe(true);
+      expect(fs.writeFileSync).toHaveBeenCalledWith('Chart.yaml', 'version: 1.1.0\n');
+      expect(core.info).toHaveBeenCalledWith('✅ Updated Chart.yaml version to 1.1.0');
+    });
+
+    test('fails when the file is missing', () => {
+      fs.existsSync.mockReturnValue(false);
+
+      expect(() => updateVersionFile({ path: 'VERSION', format: 'regex', pattern: '(.+)' }, 'v1.1.0')).toThrow(
+        'Version file not found: VERSION'
+      );
+    });
+
+    test('fails when the version field is missing', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('[package]\nname = "demo"\n');
+
+      expect(() =>
+        updateVersionFile({ path: 'Cargo.toml', format: 'toml', key: 'package.version' }, 'v1.1.0')
+      ).toThrow('Could not find package.version in Cargo.toml');
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyVersionFile', () => {
+    const entry = { path: 'pom.xml', format: 'xml', xpath: '/project/version' };
+
+    test('passes when the version matches', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('<project><version>1.2.3</version></project>');
+
+      expect(verifyVersionFile(entry, 'v1.2.3')).toBe(true);
+      expect(core.info).toHaveBeenCalledWith('✅ Verified pom.xml version matches 1.2.3');
+    });
+
+    test('throws when the version differs', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('<project><version>1.2.2</version></project>');
+
+      expect(() => verifyVersionFile(entry, 'v1.2.3')).toThrow(
+        'Expected pom.xml version to be 1.2.3, but found 1.2.2'
+      );
+    });
+  });
+});
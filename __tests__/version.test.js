@@ -14,12 +14,16 @@ const core = require('@actions/core');
 const fs = require('fs');
 const {
   calculateVersion,
+  nextPrereleaseVersion,
+  findPrereleasesOf,
   updatePackageJson,
   verifyPackageJsonVersion,
   parseExistingPrerelease,
   incrementPrerelease,
+  isValidVersion,
   validateVersion,
-  compareVersions
+  compareVersions,
+  sortVersionsDescending
 } = require('../src/version');
 
 describe('version', () => {
@@ -46,6 +50,75 @@ describe('version', () => {
       expect(calculateVersion('v1.2.3', 'minor', true, prereleaseInputs)).toBe('v1.3.0-beta.1');
     });
 
+    test('increments the prerelease counter from existing tags', () => {
+      const tags = ['v1.3.0-beta.2', 'v1.3.0-beta.1', 'v1.3.0-alpha.7', 'v1.2.3'];
+      expect(calculateVersion('v1.2.3', 'minor', true, prereleaseInputs, tags)).toBe('v1.3.0-beta.3');
+    });
+
+    test('starts from the configured prerelease number when no matching tag exists', () => {
+      const tags = ['v1.3.0-alpha.7', 'v1.2.3'];
+      expect(
+        calculateVersion('v1.2.3', 'minor', true, { prereleaseSuffix: 'beta', prereleaseNumber: '5' }, tags)
+      ).toBe('v1.3.0-beta.5');
+    });
+
+    test('continues an existing prerelease line instead of bumping the base again', () => {
+      const tags = ['v1.3.0-beta.1', 'v1.2.3'];
+      expect(calculateVersion('v1.3.0-beta.1', 'minor', true, prereleaseInputs, tags)).toBe('v1.3.0-beta.2');
+      expect(calculateVersion('v1.3.0-beta.1', 'patch', true, prereleaseInputs, tags)).toBe('v1.3.0-beta.2');
+    });
+
+    test('leaves the prerelease line when the bump is larger than the line', () => {
+      const tags = ['v1.3.0-beta.1', 'v1.2.3'];
+      expect(calculateVersion('v1.3.0-beta.1', 'major', true, prereleaseInputs, tags)).toBe('v2.0.0-beta.1');
+    });
+
+    test('refuses to continue a prerelease line with a suffix that sorts before the latest version', () => {
+      const tags = ['v1.3.0-rc.1', 'v1.3.0-beta.4', 'v1.2.3'];
+      expect(() => calculateVersion('v1.3.0-rc.1', 'patch', true, prereleaseInputs, tags)).toThrow(
+        'Cannot continue the v1.3.0 prerelease line: v1.3.0-beta.5 would not be higher than v1.3.0-rc.1. ' +
+        'Use a prerelease-suffix that sorts after rc.1'
+      );
+      expect(calculateVersion('v1.3.0-beta.4', 'patch', true, { ...prereleaseInputs, prereleaseSuffix: 'rc' }, tags))
+        .toBe('v1.3.0-rc.2');
+    });
+
+    test('does not continue a prerelease line whose stable version was already released', () => {
+      const tags = ['v1.3.0-beta.1', 'v1.3.0'];
+      expect(calculateVersion('v1.3.0-beta.1', 'patch', true, prereleaseInputs, tags)).toBe('v1.3.1-beta.1');
+    });
+
+    test('drops build metadata from the latest version when bumping', () => {
+      expect(calculateVersion('v1.2.3+build.7', 'patch', false, prereleaseInputs)).toBe('v1.2.4');
+    });
+
+    test('treats stable tags with build metadata as released when continuing a line', () => {
+      const tags = ['v1.3.0+build.1', 'v1.3.0-beta.1'];
+      expect(calculateVersion('v1.3.0-beta.1', 'patch', true, prereleaseInputs, tags)).toBe('v1.3.1-beta.1');
+    });
+
+    test('bumps stable releases from a prerelease as before', () => {
+      expect(calculateVersion('v1.3.0-beta.1', 'patch', false, prereleaseInputs, ['v1.3.0-beta.1'])).toBe('v1.3.1');
+    });
+
+    test('promotes the latest prerelease to its stable version', () => {
+      const tags = ['v2.0.0-rc.3', 'v2.0.0-rc.2', 'v1.4.0'];
+      expect(calculateVersion('v2.0.0-rc.3', 'promote', false, prereleaseInputs, tags)).toBe('v2.0.0');
+      expect(core.info).toHaveBeenCalledWith('Promoting v2.0.0-rc.3 to v2.0.0');
+    });
+
+    test('refuses to promote a stable version', () => {
+      expect(() => calculateVersion('v1.4.0', 'promote', false, prereleaseInputs, ['v1.4.0'])).toThrow(
+        'Cannot promote v1.4.0: the latest version is not a prerelease'
+      );
+    });
+
+    test('refuses to promote when the stable version already exists', () => {
+      expect(() =>
+        calculateVersion('v2.0.0-rc.3', 'promote', false, prereleaseInputs, ['v2.0.0-rc.3', 'v2.0.0'])
+      ).toThrow('Cannot promote v2.0.0-rc.3: v2.0.0 has already been released');
+    });
+
     test('throws for invalid release type', () => {
       expect(() => calculateVersion('v1.2.3', 'invalid', false, prereleaseInputs)).toThrow(
         'Invalid release type: invalid'
@@ -53,6 +126,138 @@ describe('version', () => {
     });
   });
 
+  describe('calculateVersion in zero-major mode', () => {
+    const zeroMajorInputs = { zeroMajorMode: true, prereleaseSuffix: 'beta', prereleaseNumber: '1' };
+
+    test('bumps the minor for breaking changes while major is 0', () => {
+      expect(calculateVersion('v0.3.2', 'major', false, zeroMajorInputs)).toBe('v0.4.0');
+      expect(core.info).toHaveBeenCalledWith('Zero-major mode: treating major as minor while the major version is 0');
+    });
+
+    test('bumps the patch for features and fixes while major is 0', () => {
+      expect(calculateVersion('v0.3.2', 'minor', false, zeroMajorInputs)).toBe('v0.3.3');
+      expect(calculateVersion('v0.3.2', 'patch', false, zeroMajorInputs)).toBe('v0.3.3');
+    });
+
+    test('uses regular semantics once major is at least 1', () => {
+      expect(calculateVersion('v1.3.2', 'major', false, zeroMajorInputs)).toBe('v2.0.0');
+    });
+
+    test('keeps the default jump to v1.0.0 when the mode is disabled', () => {
+      expect(calculateVersion('v0.3.2', 'major', false, { prereleaseSuffix: 'beta', prereleaseNumber: '1' })).toBe(
+        'v1.0.0'
+      );
+    });
+
+    test('applies zero-major bumps to prerelease lines', () => {
+      const tags = ['v0.4.0-beta.1', 'v0.3.2'];
+      expect(calculateVersion('v0.4.0-beta.1', 'major', true, zeroMajorInputs, tags)).toBe('v0.4.0-beta.2');
+    });
+
+    test('graduates 0.x to v1.0.0', () => {
+      expect(calculateVersion('v0.9.4', 'graduate', false, zeroMajorInputs, ['v0.9.4'])).toBe('v1.0.0');
+      expect(core.info).toHaveBeenCalledWith('Graduating v0.9.4 to v1.0.0');
+    });
+
+    test('graduates through v1.0.0 prereleases', () => {
+      expect(calculateVersion('v0.9.4', 'graduate', true, zeroMajorInputs, ['v0.9.4'])).toBe('v1.0.0-beta.1');
+      expect(
+        calculateVersion('v1.0.0-beta.1', 'graduate', true, zeroMajorInputs, ['v1.0.0-beta.1', 'v0.9.4'])
+      ).toBe('v1.0.0-beta.2');
+      expect(calculateVersion('v1.0.0-beta.2', 'graduate', false, zeroMajorInputs, ['v1.0.0-beta.2'])).toBe('v1.0.0');
+    });
+
+    test('refuses to graduate versions that already left 0.x', () => {
+      expect(() => calculateVersion('v1.2.0', 'graduate', false, zeroMajorInputs, ['v1.2.0'])).toThrow(
+        'Cannot graduate v1.2.0 to 1.0.0: the major version is already 1'
+      );
+    });
+  });
+
+  describe('calculateVersion with calver', () => {
+    const october = new Date(Date.UTC(2026, 9, 19));
+    const calverInputs = {
+      versioningScheme: 'calver',
+      calverFormat: 'YYYY.MM.MICRO',
+      prereleaseSuffix: 'beta',
+      prereleaseNumber: '1'
+    };
+
+    test('starts the micro counter at zero in a new period', () => {
+      const tags = ['v2026.9.4', 'v2026.9.3'];
+      expect(calculateVersion('v2026.9.4', 'minor', false, calverInputs, tags, october)).toBe('v2026.10.0');
+    });
+
+    test('increments the micro counter within the same period', () => {
+      const tags = ['v2026.10.1', 'v2026.10.0', 'v2026.9.4'];
+      expect(calculateVersion('v2026.10.1', 'patch', false, calverInputs, tags, october)).toBe('v2026.10.2');
+    });
+
+    test('ignores the size of the requested bump', () => {
+      const tags = ['v2026.10.0'];
+      expect(calculateVersion('v2026.10.0', 'major', false, calverInputs, tags, october)).toBe('v2026.10.1');
+    });
+
+    test('keeps zero padding from the format', () => {
+      const inputs = { ...calverInputs, calverFormat: 'YY.0M.MICRO' };
+      const tags = ['v26.03.0'];
+      expect(calculateVersion('v26.03.0', 'patch', false, inputs, tags, new Date(Date.UTC(2026, 2, 2)))).toBe(
+        'v26.03.1'
+      );
+    });
+
+    test('adds prerelease counters and continues them for the same period', () => {
+      expect(calculateVersion('v2026.9.4', 'patch', true, calverInputs, ['v2026.9.4'], october)).toBe(
+        'v2026.10.0-beta.1'
+      );
+      expect(
+        calculateVersion('v2026.10.0-beta.1', 'patch', true, calverInputs, ['v2026.10.0-beta.1', 'v2026.9.4'], october)
+      ).toBe('v2026.10.0-beta.2');
+    });
+
+    test('continues zero-padded prerelease lines', () => {
+      const inputs = { ...calverInputs, calverFormat: 'YY.0M.MICRO' };
+      const tags = ['v26.03.0-beta.1'];
+      expect(calculateVersion('v26.03.0-beta.1', 'patch', true, inputs, tags, new Date(Date.UTC(2026, 2, 9)))).toBe(
+        'v26.03.0-beta.2'
+      );
+    });
+
+    test('releases the pending prerelease base as stable', () => {
+      const tags = ['v2026.10.0-beta.2', 'v2026.9.4'];
+      expect(calculateVersion('v2026.10.0-beta.2', 'patch', false, calverInputs, tags, october)).toBe('v2026.10.0');
+    });
+
+    test('throws for invalid release type', () => {
+      expect(() => calculateVersion('v2026.10.0', 'none', false, calverInputs, [], october)).toThrow(
+        'Invalid release type: none'
+      );
+    });
+  });
+
+  describe('nextPrereleaseVersion', () => {
+    test('ignores prerelease tags for other base versions', () => {
+      const tags = ['v1.4.0-beta.9', 'v1.3.0-beta.2'];
+      expect(
+        nextPrereleaseVersion('v1.3.0', tags, { prereleaseSuffix: 'beta', prereleaseNumber: '1' })
+      ).toBe('v1.3.0-beta.3');
+    });
+
+    test('uses the highest number even when tags are unordered', () => {
+      const tags = ['v1.3.0-beta.2', 'v1.3.0-beta.10', 'v1.3.0-beta.9'];
+      expect(
+        nextPrereleaseVersion('v1.3.0', tags, { prereleaseSuffix: 'beta', prereleaseNumber: '1' })
+      ).toBe('v1.3.0-beta.11');
+    });
+  });
+
+  describe('findPrereleasesOf', () => {
+    test('returns prereleases of a stable version in ascending order', () => {
+      const tags = ['v2.0.0-rc.2', 'v2.1.0-beta.1', 'v2.0.0', 'v2.0.0-beta.1', 'v1.9.0'];
+      expect(findPrereleasesOf('v2.0.0', tags)).toEqual(['v2.0.0-beta.1', 'v2.0.0-rc.2']);
+    });
+  });
+
   describe('updatePackageJson', () => {
     test('skips update when file does not exist', () => {
       fs.existsSync.mockReturnValue(false);
@@ -67,7 +272,7 @@ describe('version', () => {
 
     test('updates package.json version and strips v prefix', () => {
       fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockReturnValue(JSON.stringify({ name: 'demo', version: '0.1.0' }));
+      fs.readFileSync.mockReturnValue(JSON.stringify({ name: 'demo', version: '0.1.0' }, null, 2));
 
       expect(updatePackageJson('package.json', 'v1.2.3')).toBe(true);
 
@@ -78,6 +283,30 @@ describe('version', () => {
       expect(core.info).toHaveBeenCalledWith('✅ Updated package.json version to 1.2.3');
     });
 
+    test('preserves indentation, line endings and key order', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('{\r\n\t"version": "0.1.0",\r\n\t"name": "demo",\r\n\t"private": true\r\n}');
+
+      expect(updatePackageJson('package.json', 'v1.2.3')).toBe(true);
+
+      expect(fs.writeFileSync).toHaveBeenCalledWith(
+        'package.json',
+        '{\r\n\t"version": "1.2.3",\r\n\t"name": "demo",\r\n\t"private": true\r\n}'
+      );
+    });
+
+    test('adds a missing version using the existing formatting', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('{\n    "name": "demo"\n}\n');
+
+      expect(updatePackageJson('package.json', 'v1.2.3')).toBe(true);
+
+      expect(fs.writeFileSync).toHaveBeenCalledWith(
+        'package.json',
+        '{\n    "name": "demo",\n    "version": "1.2.3"\n}\n'
+      );
+    });
+
     test('logs warning when package.json cannot be parsed', () => {
       fs.existsSync.mockReturnValue(true);
       fs.readFileSync.mockReturnValue('{');
@@ -118,6 +347,15 @@ describe('version', () => {
       expect(() => verifyPackageJsonVersion('package.json', 'v1.2.3')).toThrow(
         'Expected package.json version to be 1.2.3, but found 1.2.4'
       );
+    });
+
+    test('reports the line of a mismatching version', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('{\n  "name": "demo",\n  "version": "1.2.4"\n}\n');
+
+      expect(() => verifyPackageJsonVersion('package.json', 'v1.2.3')).toThrow(
+        'Expected package.json version to be 1.2.3, but found 1.2.4 (line 3)'
+      );
       expect(core.error).toHaveBeenCalledWith(
         expect.stringContaining('Package.json version verification failed:')
       );
@@ -136,6 +374,13 @@ describe('version', () => {
       expect(parseExistingPrerelease('v1.2.3')).toBeNull();
     });
 
+    test('parses multi-identifier suffixes and ignores build metadata', () => {
+      expect(parseExistingPrerelease('v1.2.3-alpha.beta.4+sha.abc')).toEqual({
+        suffix: 'alpha.beta',
+        number: 4
+      });
+    });
+
     test('returns null for unsupported prerelease format', () => {
       expect(parseExistingPrerelease('v1.2.3-beta')).toBeNull();
     });
@@ -175,11 +420,35 @@ describe('version', () => {
 
     test('accepts valid prerelease versions', () => {
       expect(() => validateVersion('v1.2.3-beta.1')).not.toThrow();
+      expect(() => validateVersion('v1.2.3-beta')).not.toThrow();
+      expect(() => validateVersion('1.0.0-alpha.beta.1')).not.toThrow();
+      expect(() => validateVersion('1.0.0-x-y-z.--')).not.toThrow();
+    });
+
+    test('accepts build metadata', () => {
+      expect(() => validateVersion('v1.2.3+build.5')).not.toThrow();
+      expect(() => validateVersion('1.0.0-rc.1+20130313144700')).not.toThrow();
     });
 
     test('rejects invalid versions', () => {
       expect(() => validateVersion('1.2')).toThrow('Invalid version format: 1.2');
-      expect(() => validateVersion('v1.2.3-beta')).toThrow('Invalid version format: v1.2.3-beta');
+      expect(() => validateVersion('01.2.3')).toThrow('Invalid version format: 01.2.3');
+      expect(() => validateVersion('1.2.3-01')).toThrow('Invalid version format: 1.2.3-01');
+      expect(() => validateVersion('1.2.3-beta..1')).toThrow('Invalid version format: 1.2.3-beta..1');
+      expect(() => validateVersion('1.2.3+')).toThrow('Invalid version format: 1.2.3+');
+    });
+  });
+
+  describe('isValidVersion', () => {
+    test('returns a boolean instead of throwing', () => {
+      expect(isValidVersion('v1.2.3')).toBe(true);
+      expect(isValidVersion('v1')).toBe(false);
+    });
+
+    test('optionally accepts zero-padded numeric segments for CalVer', () => {
+      expect(isValidVersion('v26.03.0')).toBe(false);
+      expect(isValidVersion('v26.03.0-beta.1', { allowLeadingZeros: true })).toBe(true);
+      expect(isValidVersion('v26.03', { allowLeadingZeros: true })).toBe(false);
     });
   });
 
@@ -199,8 +468,50 @@ describe('version', () => {
       expect(compareVersions('v1.0.0-alpha.1', 'v1.0.0-beta.1')).toBeLessThan(0);
     });
 
+    test('compares numeric prerelease identifiers numerically', () => {
+      expect(compareVersions('v1.0.0-beta.10', 'v1.0.0-beta.2')).toBeGreaterThan(0);
+    });
+
+    test('ranks numeric identifiers lower than alphanumeric ones', () => {
+      expect(compareVersions('v1.0.0-alpha.1', 'v1.0.0-alpha.beta')).toBeLessThan(0);
+    });
+
+    test('ranks a shorter identifier set lower when all preceding identifiers are equal', () => {
+      expect(compareVersions('v1.0.0-alpha', 'v1.0.0-alpha.1')).toBeLessThan(0);
+    });
+
+    test('follows the SemVer 2.0.0 precedence example', () => {
+      const ordered = [
+        '1.0.0-alpha',
+        '1.0.0-alpha.1',
+        '1.0.0-alpha.beta',
+        '1.0.0-beta',
+        '1.0.0-beta.2',
+        '1.0.0-beta.11',
+        '1.0.0-rc.1',
+        '1.0.0'
+      ];
+
+      for (let i = 1; i < ordered.length; i++) {
+        expect(compareVersions(ordered[i - 1], ordered[i])).toBeLessThan(0);
+      }
+    });
+
+    test('ignores build metadata for precedence', () => {
+      expect(compareVersions('v1.2.3+build.1', 'v1.2.3+build.2')).toBe(0);
+      expect(compareVersions('v1.2.3-rc.1+sha.a', 'v1.2.3-rc.1')).toBe(0);
+    });
+
     test('returns zero for equal versions', () => {
       expect(compareVersions('v1.2.3', 'v1.2.3')).toBe(0);
     });
   });
+
+  describe('sortVersionsDescending', () => {
+    test('sorts by precedence without mutating the input', () => {
+      const versions = ['v1.0.0-beta.2', 'v1.0.0', 'v1.0.0-beta.10', 'v0.9.0'];
+      expect(sortVersionsDescending(versions)).toEqual(['v1.0.0', 'v1.0.0-beta.10', 'v1.0.0-beta.2', 'v0.9.0']);
+      expect(versions[0]).toBe('v1.0.0-beta.2');
+    });
+  });
 });
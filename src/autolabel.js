@@ -0,0 +1,133 @@
+const core = require('@actions/core');
+
+const { resolveLabelReleaseType } = require('./utils');
+const {
+  RELEASE_TYPE_PRIORITY,
+  parseCommitReleaseTypes,
+  determineReleaseTypeFromCommits
+} = require('./commits');
+
+const AUTO_LABEL_TYPES = ['major', 'minor', 'patch', 'prerelease'];
+
+function parseAutoLabelRules(rulesInput) {
+  const rules = [];
+
+  for (const entry of (rulesInput || '').split('\n')) {
+    const trimmed = entry.trim();
+    if (!trimmed) {
+      continue;
+    }
+
+    const separatorIndex = trimmed.lastIndexOf(':');
+    const source = trimmed.slice(0, separatorIndex).trim();
+    const releaseType = trimmed.slice(separatorIndex + 1).trim();
+
+    if (separatorIndex === -1 || !source || !AUTO_LABEL_TYPES.includes(releaseType)) {
+      throw new Error(`Invalid auto-label-rules entry: ${trimmed}. Expected regex:${AUTO_LABEL_TYPES.join('|')}`);
+    }
+
+    const regexMatch = source.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+      const pattern = regexMatch
+        ? new RegExp(regexMatch[1], regexMatch[2].includes('i') ? regexMatch[2] : `${regexMatch[2]}i`)
+        : new RegExp(source, 'i');
+      rules.push({ pattern, releaseType });
+    } catch (error) {
+      throw new Error(`Invalid auto-label-rules entry: ${trimmed}. ${error.message}`);
+    }
+  }
+
+  return rules;
+}
+
+function detectAutoLabelReleaseType(texts, inputs) {
+  let releaseType = determineReleaseTypeFromCommits(
+    texts.map(message => ({ message })),
+    parseCommitReleaseTypes(inputs.commitReleaseTypes)
+  );
+  let isPrerelease = false;
+
+  for (const rule of parseAutoLabelRules(inputs.autoLabelRules)) {
+    if (!texts.some(text => rule.pattern.test(text))) {
+      continue;
+    }
+
+    if (rule.releaseType === 'prerelease') {
+      isPrerelease = true;
+    } else if (RELEASE_TYPE_PRIORITY.indexOf(rule.releaseType) > RELEASE_TYPE_PRIORITY.indexOf(releaseType)) {
+      releaseType = rule.releaseType;
+    }
+  }
+
+  return { releaseType, isPrerelease };
+}
+
+// Label inputs may hold aliases and patterns; only a plain name can be applied to a PR.
+function primaryLabelName(patternsInput) {
+  return (patternsInput || '')
+    .split(/[,\n]/)
+    .map(entry => entry.trim())
+    .find(entry => entry && !/[*?]/.test(entry) && !/^\/.*\/[a-z]*$/.test(entry)) || null;
+}
+
+function hasReleaseLabel(labels, inputs) {
+  const { releaseType, isPrerelease, skipReason } = resolveLabelReleaseType(labels, inputs);
+  return releaseType !== 'none' || isPrerelease || Boolean(skipReason);
+}
+
+async function listPullRequestCommitMessages(octokit, context) {
+  const commits = await octokit.paginate(octokit.rest.pulls.listCommits, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: context.payload.pull_request.number,
+    per_page: 100
+  });
+
+  return commits.map(commit => commit.commit.message);
+}
+
+async function autoLabelPullRequest(octokit, context, inputs) {
+  const pullRequest = context.payload.pull_request;
+  if (!pullRequest?.number) {
+    return [];
+  }
+
+  const currentLabels = (pullRequest.labels || []).map(label => label.name);
+  if (hasReleaseLabel(currentLabels, inputs)) {
+    core.info('🏷️ Pull request already has a release label, leaving labels untouched');
+    return [];
+  }
+
+  const texts = [pullRequest.title || '', ...(await listPullRequestCommitMessages(octokit, context))];
+  const { releaseType, isPrerelease } = detectAutoLabelReleaseType(texts, inputs);
+
+  const labels = [
+    releaseType !== 'none' ? primaryLabelName(inputs[`${releaseType}Label`]) : null,
+    isPrerelease ? primaryLabelName(inputs.prereleaseLabel) : null
+  ].filter(Boolean);
+
+  if (labels.length === 0) {
+    core.info('🏷️ No release label could be derived from the pull request title or commits');
+    return [];
+  }
+
+  await octokit.rest.issues.addLabels({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: pullRequest.number,
+    labels
+  });
+
+  // Later steps of this run read labels from the event payload, so reflect the new ones there too.
+  pullRequest.labels = [...(pullRequest.labels || []), ...labels.map(name => ({ name }))];
+  core.info(`🏷️ Added label(s) from the pull request title and commits: ${labels.join(', ')}`);
+
+  return labels;
+}
+
+module.exports = {
+  parseAutoLabelRules,
+  detectAutoLabelReleaseType,
+  primaryLabelName,
+  autoLabelPullRequest
+};
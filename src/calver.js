@@ -0,0 +1,61 @@
+const DATE_TOKENS = ['YYYY', 'YY', '0Y', 'MM', '0M', 'WW', '0W', 'DD', '0D'];
+const WEEK_TOKENS = ['WW', '0W'];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function getIsoWeek(date) {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const dayNumber = target.getUTCDay() || 7;
+  target.setUTCDate(target.getUTCDate() + 4 - dayNumber);
+
+  const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+  return {
+    year: target.getUTCFullYear(),
+    week: Math.ceil(((target - yearStart) / 86400000 + 1) / 7)
+  };
+}
+
+function parseCalVerFormat(format) {
+  const segments = (format || '').split('.');
+
+  if (
+    segments.length !== 3 ||
+    segments[2] !== 'MICRO' ||
+    !DATE_TOKENS.includes(segments[0]) ||
+    !DATE_TOKENS.includes(segments[1])
+  ) {
+    throw new Error(
+      `Invalid calver-format: ${format}. Expected two date segments followed by MICRO (e.g., YYYY.MM.MICRO)`
+    );
+  }
+
+  return segments.slice(0, 2);
+}
+
+function formatCalVerPeriod(format, date) {
+  const tokens = parseCalVerFormat(format);
+  const usesWeeks = tokens.some(token => WEEK_TOKENS.includes(token));
+  const isoWeek = getIsoWeek(date);
+  const year = usesWeeks ? isoWeek.year : date.getUTCFullYear();
+
+  const values = {
+    YYYY: String(year),
+    YY: String(year % 100),
+    '0Y': pad(year % 100),
+    MM: String(date.getUTCMonth() + 1),
+    '0M': pad(date.getUTCMonth() + 1),
+    WW: String(isoWeek.week),
+    '0W': pad(isoWeek.week),
+    DD: String(date.getUTCDate()),
+    '0D': pad(date.getUTCDate())
+  };
+
+  return tokens.map(token => values[token]);
+}
+
+module.exports = {
+  parseCalVerFormat,
+  formatCalVerPeriod
+};
@@ -0,0 +1,52 @@
+const { parseVersion } = require('./utils');
+const { matchesBranchPattern } = require('./policy');
+
+const STABLE_CHANNEL = 'stable';
+
+function parseChannels(channelsInput) {
+  const channels = [];
+
+  for (const entry of (channelsInput || '').split(/[,\n]/)) {
+    const trimmed = entry.trim();
+    if (!trimmed) {
+      continue;
+    }
+
+    const separatorIndex = trimmed.lastIndexOf(':');
+    const branch = trimmed.slice(0, separatorIndex).trim();
+    const name = trimmed.slice(separatorIndex + 1).trim();
+
+    if (separatorIndex === -1 || !branch || !/^[0-9A-Za-z-]+$/.test(name)) {
+      throw new Error(`Invalid channels entry: ${trimmed}. Expected branch:channel, e.g. next:next or main:stable`);
+    }
+
+    channels.push({ branch, name, prerelease: name !== STABLE_CHANNEL });
+  }
+
+  return channels;
+}
+
+function findChannel(branch, channels) {
+  const channel = channels.find(candidate => matchesBranchPattern(branch, candidate.branch));
+  return channel ? { ...channel, branch } : null;
+}
+
+// Prerelease channels only build on stable versions and their own prereleases, so a beta tag
+// never becomes the base for the next channel (and vice versa).
+function filterChannelVersions(versions, channel) {
+  if (!channel?.prerelease) {
+    return versions;
+  }
+
+  return versions.filter(version => {
+    const { prerelease } = parseVersion(version);
+    return !prerelease || prerelease.split('.')[0] === channel.name;
+  });
+}
+
+module.exports = {
+  STABLE_CHANNEL,
+  parseChannels,
+  findChannel,
+  filterChannelVersions
+};
@@ -0,0 +1,70 @@
+const CHECK_NAME = 'Semantic Release';
+
+function formatReleaseCheck(plan) {
+  const { latestTag, newTag, releaseType, isPrerelease, reason, skipReason, failure } = plan;
+
+  if (failure) {
+    return { conclusion: 'failure', title: 'Release label required', summary: failure };
+  }
+
+  if (!newTag) {
+    return skipReason
+      ? { conclusion: 'neutral', title: 'Release skipped', summary: skipReason }
+      : { conclusion: 'neutral', title: 'No release planned', summary: `No release planned: ${reason}.` };
+  }
+
+  const summary = [
+    `**Planned version:** \`${newTag}\``,
+    `**Previous version:** \`${latestTag || 'none'}\``,
+    `**Release type:** ${releaseType}${isPrerelease ? ' (prerelease)' : ''}`,
+    `**Reason:** ${reason}`
+  ];
+  if (skipReason) {
+    summary.unshift(`**Skipped:** ${skipReason}`);
+  }
+
+  return {
+    conclusion: skipReason ? 'neutral' : 'success',
+    title: skipReason ? `Release ${newTag} skipped` : `Release ${newTag} (${releaseType})`,
+    summary: summary.join('\n')
+  };
+}
+
+function resolveHeadSha(context) {
+  return context.payload.pull_request?.head?.sha || context.sha;
+}
+
+async function publishReleaseCheck(octokit, context, mode, check) {
+  const sha = resolveHeadSha(context);
+
+  if (mode === 'check-run') {
+    const response = await octokit.rest.checks.create({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      name: CHECK_NAME,
+      head_sha: sha,
+      status: 'completed',
+      conclusion: check.conclusion,
+      output: { title: check.title, summary: check.summary }
+    });
+    return response.data;
+  }
+
+  // Commit statuses have no neutral state and cap the description at 140 characters.
+  const response = await octokit.rest.repos.createCommitStatus({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    sha,
+    state: check.conclusion === 'failure' ? 'failure' : 'success',
+    context: CHECK_NAME,
+    description: (check.conclusion === 'failure' ? check.summary : check.title).slice(0, 140)
+  });
+  return response.data;
+}
+
+module.exports = {
+  CHECK_NAME,
+  formatReleaseCheck,
+  resolveHeadSha,
+  publishReleaseCheck
+};
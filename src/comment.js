@@ -0,0 +1,70 @@
+const PLAN_COMMENT_MARKER = '<!-- semantic-release-action:release-plan -->';
+
+function formatPlanComment(plan) {
+  const { latestTag, newTag, releaseType, isPrerelease, reason, skipReason, releaseNotes } = plan;
+  const lines = [PLAN_COMMENT_MARKER, '### 📦 Release plan', ''];
+
+  if (skipReason) {
+    lines.push(`⏭️ **This PR will not be released:** ${skipReason}.`, '');
+  }
+
+  if (releaseType === 'none') {
+    lines.push(`ℹ️ No release planned: ${reason}.`, '', `Previous version: \`${latestTag || 'none'}\``);
+    return lines.join('\n');
+  }
+
+  lines.push(
+    '| | |',
+    '| --- | --- |',
+    `| Previous version | \`${latestTag || 'none'}\` |`,
+    `| ${skipReason ? 'Would release' : 'Planned version'} | \`${newTag}\` |`,
+    `| Release type | \`${releaseType}\` |`,
+    `| Reason | ${reason} |`,
+    `| Prerelease | ${isPrerelease ? 'yes' : 'no'} |`
+  );
+
+  if (releaseNotes) {
+    lines.push('', '<details>', '<summary>Release notes preview</summary>', '', releaseNotes, '', '</details>');
+  }
+
+  return lines.join('\n');
+}
+
+async function upsertPlanComment(octokit, context, body) {
+  const issueNumber = context.payload.pull_request?.number;
+  if (!issueNumber) {
+    return null;
+  }
+
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: issueNumber,
+    per_page: 100
+  });
+
+  const existing = comments.find(comment => comment.body?.includes(PLAN_COMMENT_MARKER));
+  if (existing) {
+    const response = await octokit.rest.issues.updateComment({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      comment_id: existing.id,
+      body
+    });
+    return response.data;
+  }
+
+  const response = await octokit.rest.issues.createComment({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: issueNumber,
+    body
+  });
+  return response.data;
+}
+
+module.exports = {
+  PLAN_COMMENT_MARKER,
+  formatPlanComment,
+  upsertPlanComment
+};
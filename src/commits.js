@@ -0,0 +1,103 @@
+const core = require('@actions/core');
+const { execSync } = require('child_process');
+
+const RELEASE_TYPE_PRIORITY = ['none', 'patch', 'minor', 'major'];
+const COMMIT_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+function parseCommitReleaseTypes(mapping) {
+  const releaseTypes = {};
+
+  for (const entry of (mapping || '').split(/[,\n]/)) {
+    const trimmed = entry.trim();
+    if (!trimmed) {
+      continue;
+    }
+
+    const [type, releaseType] = trimmed.split(':').map(part => part.trim());
+    if (!type || !['major', 'minor', 'patch', 'none'].includes(releaseType)) {
+      throw new Error(`Invalid commit-release-types entry: ${trimmed}`);
+    }
+
+    releaseTypes[type.toLowerCase()] = releaseType;
+  }
+
+  return releaseTypes;
+}
+
+function parseConventionalCommit(message) {
+  const [header, ...bodyLines] = message.trim().split('\n');
+  const match = header.match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const body = bodyLines.join('\n');
+
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] || null,
+    breaking: Boolean(match[3]) || /^BREAKING[ -]CHANGE:/m.test(body),
+    subject: match[4].trim()
+  };
+}
+
+function getCommitsSince(latestTag, packagePath = null) {
+  const commitRange = latestTag ? `${latestTag}..HEAD` : 'HEAD';
+  const pathspec = packagePath ? ` -- "${packagePath}"` : '';
+  const output = execSync(
+    `git log --format="%H${FIELD_SEPARATOR}%B${COMMIT_SEPARATOR}" ${commitRange}${pathspec}`,
+    { encoding: 'utf8' }
+  );
+
+  return output
+    .split(COMMIT_SEPARATOR)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [hash, message = ''] = entry.split(FIELD_SEPARATOR);
+      return { hash: hash.trim(), message: message.trim() };
+    });
+}
+
+function determineReleaseTypeFromCommits(commits, commitReleaseTypes) {
+  let releaseType = 'none';
+
+  for (const commit of commits) {
+    const parsed = parseConventionalCommit(commit.message);
+    if (!parsed) {
+      continue;
+    }
+
+    const commitReleaseType = parsed.breaking ? 'major' : commitReleaseTypes[parsed.type] || 'none';
+    if (RELEASE_TYPE_PRIORITY.indexOf(commitReleaseType) > RELEASE_TYPE_PRIORITY.indexOf(releaseType)) {
+      releaseType = commitReleaseType;
+    }
+  }
+
+  return releaseType;
+}
+
+function detectReleaseTypeFromCommits(latestTag, inputs, packagePath = null) {
+  const commits = getCommitsSince(latestTag, packagePath);
+  const scope = packagePath ? ` touching ${packagePath}` : '';
+  core.info(`Found ${commits.length} commit(s)${scope} since ${latestTag || 'the first commit'}`);
+
+  const releaseType = determineReleaseTypeFromCommits(
+    commits,
+    parseCommitReleaseTypes(inputs.commitReleaseTypes)
+  );
+  core.info(`Conventional Commits release type: ${releaseType}`);
+
+  return releaseType;
+}
+
+module.exports = {
+  RELEASE_TYPE_PRIORITY,
+  parseCommitReleaseTypes,
+  parseConventionalCommit,
+  getCommitsSince,
+  determineReleaseTypeFromCommits,
+  detectReleaseTypeFromCommits
+};
@@ -0,0 +1,263 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const { validateInputs } = require('./utils');
+const { parseCommitReleaseTypes } = require('./commits');
+const { parseCalVerFormat } = require('./calver');
+const { parseVersionFiles } = require('./version-files');
+const { parsePackages } = require('./monorepo');
+const { parseMaintenanceBranches } = require('./maintenance');
+const { parseChannels } = require('./channels');
+const { parseMaxReleaseTypes } = require('./policy');
+const { parseAutoLabelRules } = require('./autolabel');
+const { DEFAULT_RELEASE_NOTE_SECTIONS, parseReleaseNoteSections } = require('./notes');
+
+const CONFIG_FILES = ['.github/semantic-release.yml', '.github/semantic-release.yaml', '.github/semantic-release.json'];
+
+// Secrets and per-run choices belong in the workflow, not in a file shared by every run.
+const WORKFLOW_ONLY_KEYS = [
+  'github-token',
+  'config-file',
+  'trigger-mode',
+  'execution-mode',
+  'release-type',
+  'is-prerelease',
+  'manual-release-type',
+  'manual-is-prerelease',
+  'release-version',
+  'force-version'
+];
+
+// Defaults mirror action.yml: a workflow input still at its default gives way to the config file.
+const CONFIG_SCHEMA = {
+  'major-label': { type: 'list', default: 'major' },
+  'minor-label': { type: 'list', default: 'minor' },
+  'patch-label': { type: 'list', default: 'patch' },
+  'prerelease-label': { type: 'list', default: 'prerelease' },
+  'promote-label': { type: 'list', default: 'release:promote' },
+  'graduate-label': { type: 'list', default: 'graduate-to-1.0' },
+  'skip-release-label': { type: 'list', default: 'skip-release' },
+  'version-source': { type: 'string', default: 'labels' },
+  'commit-release-types': { type: 'list', default: 'feat:minor,fix:patch,perf:patch' },
+  'versioning-scheme': { type: 'string', default: 'semver' },
+  'calver-format': { type: 'string', default: 'YYYY.MM.MICRO' },
+  'zero-major-mode': { type: 'boolean', default: false },
+  'zero-major-base-tag': { type: 'string', default: 'major' },
+  'prerelease-suffix': { type: 'string', default: 'beta' },
+  'prerelease-number': { type: 'string', default: '1' },
+  'node-version': { type: 'string', default: '24' },
+  'package-manager': { type: 'string', default: 'npm' },
+  'working-directory': { type: 'string', default: '.' },
+  'install-command': { type: 'string', default: '' },
+  'test-command': { type: 'string', default: '' },
+  'build-command': { type: 'string', default: '' },
+  'create-major-release': { type: 'boolean', default: true },
+  base_release: { type: 'boolean', default: true },
+  'copy-assets': { type: 'boolean', default: true },
+  'auto-generate-notes': { type: 'boolean', default: true },
+  'tag-format': { type: 'string', default: '{prefix}{major}.{minor}.{patch}' },
+  'tag-prefix': { type: 'string', default: 'v' },
+  'version-lookup': { type: 'string', default: 'git' },
+  'reachable-tags-only': { type: 'boolean', default: false },
+  'version-output-prefix': { type: 'boolean', default: true },
+  'update-package-json': { type: 'boolean', default: true },
+  'package-json-mode': { type: 'string', default: '' },
+  'package-json-path': { type: 'string', default: 'package.json' },
+  'update-workspace-dependencies': { type: 'boolean', default: false },
+  'version-files': { type: 'json', default: '' },
+  packages: { type: 'list', default: '' },
+  'maintenance-branches': { type: 'list', default: '' },
+  channels: { type: 'list', default: '' },
+  'pr-comment': { type: 'boolean', default: false },
+  'auto-label': { type: 'boolean', default: false },
+  'auto-label-rules': { type: 'list', default: '' },
+  'status-check': { type: 'string', default: 'none' },
+  'require-release-label': { type: 'boolean', default: false },
+  'aggregate-pull-requests': { type: 'boolean', default: false },
+  'categorize-release-notes': { type: 'boolean', default: false },
+  'release-notes-sections': { type: 'list', default: DEFAULT_RELEASE_NOTE_SECTIONS },
+  'release-notes-exclude-labels': { type: 'list', default: 'ignore-for-release' },
+  'max-release-types': { type: 'list', default: '' },
+  'major-approval-label': { type: 'list', default: '' },
+  'major-approval-team': { type: 'string', default: '' },
+  'fail-on-conflicting-labels': { type: 'boolean', default: true },
+  'git-user-name': { type: 'string', default: 'github-actions[bot]' },
+  'git-user-email': { type: 'string', default: 'github-actions[bot]@users.noreply.github.com' },
+  'commit-changes': { type: 'boolean', default: true }
+};
+
+function inputProperty(name) {
+  return name.replace(/[-_]([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function suggestKey(key) {
+  const kebabKey = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`).replace(/_/g, '-');
+  const candidates = Object.keys(CONFIG_SCHEMA)
+    .map(name => ({ name, distance: editDistance(kebabKey, name.replace(/_/g, '-')) }))
+    .filter(({ distance }) => distance <= 2)
+    .sort((a, b) => a.distance - b.distance);
+
+  return candidates[0]?.name || null;
+}
+
+function normalizeConfigValue(key, value, type) {
+  if (type === 'boolean') {
+    if (typeof value !== 'boolean') {
+      throw new Error(`${key} must be true or false`);
+    }
+    return value;
+  }
+
+  if (typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))) {
+    return String(value);
+  }
+
+  if (type === 'list' && Array.isArray(value) && value.every(item => typeof item === 'string')) {
+    return value.join('\n');
+  }
+
+  if (type === 'json' && value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  const expected = {
+    string: 'a string',
+    list: 'a string or a list of strings',
+    json: 'a list of version file entries or a JSON string'
+  };
+  throw new Error(`${key} must be ${expected[type]}`);
+}
+
+function normalizeConfig(config) {
+  const settings = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(config)) {
+    if (WORKFLOW_ONLY_KEYS.includes(key)) {
+      errors.push(`${key} can only be set as a workflow input`);
+      continue;
+    }
+
+    const schema = CONFIG_SCHEMA[key];
+    if (!schema) {
+      const suggestion = suggestKey(key);
+      errors.push(`unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      continue;
+    }
+
+    try {
+      settings[key] = normalizeConfigValue(key, value, schema.type);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  return settings;
+}
+
+function findConfigFile(configPath) {
+  if (configPath) {
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return configPath;
+  }
+
+  return CONFIG_FILES.find(file => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(configPath) {
+  const content = fs.readFileSync(configPath, 'utf8');
+  const config = configPath.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+
+  if (config === undefined || config === null) {
+    return {};
+  }
+
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('expected a mapping of input names to values');
+  }
+
+  return config;
+}
+
+function applyConfigFile(inputs, configPath) {
+  const file = findConfigFile(configPath);
+  if (!file) {
+    return null;
+  }
+
+  let settings;
+  try {
+    settings = normalizeConfig(readConfigFile(file));
+  } catch (error) {
+    throw new Error(`Invalid config file ${file}: ${error.message}`);
+  }
+
+  for (const [key, value] of Object.entries(settings)) {
+    const property = inputProperty(key);
+    if (inputs[property] === CONFIG_SCHEMA[key].default) {
+      inputs[property] = value;
+    } else {
+      core.info(`Workflow input ${key} overrides the value in ${file}`);
+    }
+  }
+
+  core.info(`⚙️ Loaded configuration from ${file}`);
+  return file;
+}
+
+function validateConfiguration(inputs) {
+  validateInputs(inputs);
+
+  const parsers = [
+    () => parseCommitReleaseTypes(inputs.commitReleaseTypes),
+    () => inputs.versioningScheme === 'calver' && parseCalVerFormat(inputs.calverFormat),
+    () => parseVersionFiles(inputs.versionFiles),
+    () => parsePackages(inputs.packages),
+    () => parseMaintenanceBranches(inputs.maintenanceBranches),
+    () => parseChannels(inputs.channels),
+    () => parseMaxReleaseTypes(inputs.maxReleaseTypes),
+    () => parseAutoLabelRules(inputs.autoLabelRules),
+    () => parseReleaseNoteSections(inputs.releaseNotesSections)
+  ];
+
+  const errors = [];
+  for (const parse of parsers) {
+    try {
+      parse();
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration: ${errors.join('; ')}`);
+  }
+}
+
+module.exports = {
+  CONFIG_FILES,
+  CONFIG_SCHEMA,
+  applyConfigFile,
+  validateConfiguration
+};
@@ -0,0 +1,105 @@
+function locateJsonString(content, keyPath) {
+  JSON.parse(content);
+
+  let index = 0;
+
+  const skipWhitespace = () => {
+    while (/\s/.test(content[index] || '')) {
+      index++;
+    }
+  };
+
+  const readString = () => {
+    const start = ++index;
+    while (content[index] !== '"') {
+      index += content[index] === '\\' ? 2 : 1;
+    }
+    return { start, end: index++ };
+  };
+
+  const skipValue = () => {
+    if (content[index] === '"') {
+      readString();
+      return;
+    }
+
+    if (content[index] !== '{' && content[index] !== '[') {
+      while (index < content.length && !/[,}\]\s]/.test(content[index])) {
+        index++;
+      }
+      return;
+    }
+
+    let depth = 0;
+    while (index < content.length) {
+      const char = content[index];
+      if (char === '"') {
+        readString();
+        continue;
+      }
+
+      index++;
+      if (char === '{' || char === '[') {
+        depth++;
+      } else if ((char === '}' || char === ']') && --depth === 0) {
+        return;
+      }
+    }
+  };
+
+  const findInObject = depth => {
+    skipWhitespace();
+    if (content[index] !== '{') {
+      return null;
+    }
+
+    index++;
+    skipWhitespace();
+
+    while (content[index] === '"') {
+      const keyRange = readString();
+      const key = JSON.parse(content.slice(keyRange.start - 1, keyRange.end + 1));
+
+      skipWhitespace();
+      index++;
+      skipWhitespace();
+
+      if (key === keyPath[depth]) {
+        if (depth === keyPath.length - 1) {
+          return content[index] === '"' ? readString() : null;
+        }
+        return findInObject(depth + 1);
+      }
+
+      skipValue();
+      skipWhitespace();
+      if (content[index] === ',') {
+        index++;
+        skipWhitespace();
+      }
+    }
+
+    return null;
+  };
+
+  return findInObject(0);
+}
+
+function replaceJsonString(content, keyPath, value) {
+  const range = locateJsonString(content, keyPath);
+  if (!range) {
+    return null;
+  }
+
+  return content.slice(0, range.start) + JSON.stringify(value).slice(1, -1) + content.slice(range.end);
+}
+
+function lineNumberAt(content, index) {
+  return content.slice(0, index).split('\n').length;
+}
+
+module.exports = {
+  locateJsonString,
+  replaceJsonString,
+  lineNumberAt
+};
@@ -3,9 +3,57 @@ const github = require('@actions/github');
 const { execSync } = require('child_process');
 const fs = require('fs');
 
-const { detectTriggerMode, detectExecutionMode, parseLabels } = require('./utils');
-const { calculateVersion, updatePackageJson, verifyPackageJsonVersion } = require('./version');
-const { createRelease, createMajorRelease } = require('./release');
+const {
+  detectTriggerMode,
+  detectExecutionMode,
+  parseLabels,
+  parseVersion,
+  formatTag,
+  formatTagPattern,
+  parseTag,
+  formatBaseTag,
+  formatVersionOutput
+} = require('./utils');
+const {
+  calculateVersion,
+  findPrereleasesOf,
+  updatePackageJson,
+  verifyPackageJsonVersion,
+  isValidVersion,
+  compareVersions,
+  sortVersionsDescending
+} = require('./version');
+const {
+  createRelease,
+  createMajorRelease,
+  listRepositoryTags,
+  listReleaseTags,
+  aggregatePrereleaseNotes
+} = require('./release');
+const { detectReleaseTypeFromCommits } = require('./commits');
+const { parsePackages, listPullRequestFiles, isPathTouched, hasCommitsTouchingPath } = require('./monorepo');
+const {
+  parseMaintenanceBranches,
+  resolveTargetBranch,
+  matchMaintenanceBranch,
+  formatMaintenanceLine,
+  isVersionInLine,
+  assertVersionInLine
+} = require('./maintenance');
+const { enforceReleasePolicy } = require('./policy');
+const { parseChannels, findChannel, filterChannelVersions } = require('./channels');
+const {
+  summarizePullRequest,
+  listMergedPullRequestsSince,
+  determineReleaseTypeFromPullRequests
+} = require('./pulls');
+const { formatPlanComment, upsertPlanComment } = require('./comment');
+const { formatReleaseCheck, publishReleaseCheck } = require('./checks');
+const { parseAutoLabelRules, autoLabelPullRequest } = require('./autolabel');
+const { parseVersionFiles, updateVersionFile, verifyVersionFile } = require('./version-files');
+const { syncLockfiles, updateWorkspaceDependencies } = require('./package-sync');
+const { applyConfigFile, validateConfiguration } = require('./config');
+const { parseReleaseNoteSections, formatCategorizedNotes } = require('./notes');
 
 async function run() {
   try {
@@ -15,6 +63,8 @@ async function run() {
       minorLabel: core.getInput('minor-label'),
       patchLabel: core.getInput('patch-label'),
       prereleaseLabel: core.getInput('prerelease-label'),
+      promoteLabel: core.getInput('promote-label'),
+      graduateLabel: core.getInput('graduate-label'),
       prereleaseSuffix: core.getInput('prerelease-suffix'),
       prereleaseNumber: core.getInput('prerelease-number'),
       nodeVersion: core.getInput('node-version'),
@@ -30,58 +80,180 @@ async function run() {
       updatePackageJson: core.getBooleanInput('update-package-json'),
       packageJsonMode: core.getInput('package-json-mode'),
       packageJsonPath: core.getInput('package-json-path'),
+      versionFiles: core.getInput('version-files'),
+      updateWorkspaceDependencies: core.getBooleanInput('update-workspace-dependencies'),
+      packages: core.getInput('packages'),
+      maintenanceBranches: core.getInput('maintenance-branches'),
+      channels: core.getInput('channels'),
+      skipReleaseLabel: core.getInput('skip-release-label'),
+      prComment: core.getBooleanInput('pr-comment'),
+      statusCheck: core.getInput('status-check') || 'none',
+      requireReleaseLabel: core.getBooleanInput('require-release-label'),
+      autoLabel: core.getBooleanInput('auto-label'),
+      autoLabelRules: core.getInput('auto-label-rules'),
+      aggregatePullRequests: core.getBooleanInput('aggregate-pull-requests'),
+      categorizeReleaseNotes: core.getBooleanInput('categorize-release-notes'),
+      releaseNotesSections: core.getInput('release-notes-sections'),
+      releaseNotesExcludeLabels: core.getInput('release-notes-exclude-labels'),
+      maxReleaseTypes: core.getInput('max-release-types'),
+      majorApprovalLabel: core.getInput('major-approval-label'),
+      majorApprovalTeam: core.getInput('major-approval-team'),
+      failOnConflictingLabels: core.getBooleanInput('fail-on-conflicting-labels'),
       gitUserName: core.getInput('git-user-name'),
       gitUserEmail: core.getInput('git-user-email'),
+      tagFormat: core.getInput('tag-format'),
+      tagPrefix: core.getInput('tag-prefix'),
+      versionLookup: core.getInput('version-lookup'),
+      reachableTagsOnly: core.getBooleanInput('reachable-tags-only'),
+      versionOutputPrefix: core.getBooleanInput('version-output-prefix'),
       triggerMode: core.getInput('trigger-mode'),
+      versionSource: core.getInput('version-source'),
+      versioningScheme: core.getInput('versioning-scheme'),
+      calverFormat: core.getInput('calver-format'),
+      zeroMajorMode: core.getBooleanInput('zero-major-mode'),
+      zeroMajorBaseTag: core.getInput('zero-major-base-tag'),
+      commitReleaseTypes: core.getInput('commit-release-types'),
+      releaseType: core.getInput('release-type'),
+      isPrerelease: core.getBooleanInput('is-prerelease'),
+      manualReleaseType: core.getInput('manual-release-type'),
+      manualIsPrerelease: core.getBooleanInput('manual-is-prerelease'),
+      releaseVersion: core.getInput('release-version'),
+      forceVersion: core.getBooleanInput('force-version'),
       executionMode: core.getInput('execution-mode'),
       commitChanges: core.getBooleanInput('commit-changes')
     };
 
-    const octokit = github.getOctokit(inputs.githubToken);
-    const context = github.context;
-
     core.info('🚀 Starting Semantic Release Action...');
 
+    const configFile = applyConfigFile(inputs, core.getInput('config-file'));
+    core.setOutput('config-file', configFile || '');
+
+    // Package paths and version files are relative to working-directory, so validate them from there.
     if (inputs.workingDirectory !== '.') {
       process.chdir(inputs.workingDirectory);
       core.info(`📁 Changed working directory to: ${inputs.workingDirectory}`);
     }
 
+    validateConfiguration(inputs);
+
+    if (inputs.executionMode === 'validate-config') {
+      core.info(`✅ Configuration is valid${configFile ? ` (${configFile})` : ''}`);
+      return;
+    }
+
+    const octokit = github.getOctokit(inputs.githubToken);
+    const context = github.context;
+
     const triggerMode = detectTriggerMode(inputs.triggerMode, context);
     core.info(`🔍 Detected trigger mode: ${triggerMode}`);
 
     const executionMode = detectExecutionMode(inputs.executionMode, triggerMode, context);
     core.info(`🧭 Execution mode: ${executionMode}`);
 
-    const { releaseType, isPrerelease } = parseLabels(context, inputs, triggerMode);
+    if (inputs.autoLabel && triggerMode === 'pr-open') {
+      await applyAutoLabels(octokit, context, inputs);
+    }
+
+    inputs.channel = resolveReleaseChannel(context, inputs);
+
+    if (inputs.packages) {
+      await runMonorepoRelease(octokit, context, inputs, triggerMode, executionMode);
+      return;
+    }
+
+    const maintenanceLine = resolveMaintenanceLine(context, inputs);
+    const allVersions = getExistingVersions(await listTags(octokit, context, inputs), inputs);
+    const existingVersions = maintenanceLine
+      ? allVersions.filter(version => isVersionInLine(version, maintenanceLine))
+      : allVersions;
+    const latestCandidates = selectLatestCandidates(filterChannelVersions(existingVersions, inputs.channel), inputs);
+    const latestVersion = maintenanceLine
+      ? getLatestMaintenanceVersion(latestCandidates, maintenanceLine)
+      : getLatestVersion(latestCandidates, inputs);
+    const latestTag = latestVersion === 'v0.0.0' ? null : formatTag(latestVersion, inputs);
+    if (!latestTag) {
+      await assertNoPriorReleases(octokit, context, inputs);
+    }
+    core.info(`🏷️ Latest version: ${latestTag || latestVersion}`);
+
+    const versionOverride = resolveVersionOverride(inputs, triggerMode, latestVersion, allVersions);
+    const pullRequests = versionOverride
+      ? null
+      : await resolveMergedPullRequests(octokit, context, inputs, triggerMode, latestTag);
+    const { releaseType, isPrerelease, skipReason, reason, pullRequest } = versionOverride || resolveReleaseType(
+      context, inputs, triggerMode, latestTag, null, pullRequests
+    );
+
+    if (applySkipReason(skipReason, executionMode)) {
+      await reportReleasePlan(octokit, context, inputs, executionMode, {
+        latestTag,
+        releaseType: 'none',
+        reason: 'the release was skipped',
+        skipReason
+      });
+      return;
+    }
 
     if (releaseType === 'none') {
-      core.info('ℹ️ No release labels found. Skipping release creation.');
+      const noneReason = inputs.versionSource === 'commits' ? 'No releasable commits found' : 'No release labels found';
+      core.info(`ℹ️ ${noneReason}. Skipping release creation.`);
       core.setOutput('released', 'false');
       core.setOutput('release-type', 'none');
+
+      // A skip label is a deliberate choice, so it satisfies require-release-label on its own.
+      const failure = !skipReason && requiresReleaseLabel(inputs, triggerMode)
+        ? describeMissingReleaseLabel(inputs)
+        : null;
+      await reportReleasePlan(octokit, context, inputs, executionMode, {
+        latestTag,
+        releaseType,
+        reason: skipReason ? 'the release was skipped' : noneReason.toLowerCase(),
+        skipReason,
+        failure
+      });
+
+      if (failure) {
+        throw new Error(failure);
+      }
       return;
     }
 
     core.info(`📦 Release type: ${releaseType}${isPrerelease ? ' (prerelease)' : ''}`);
+    await enforceReleasePolicy(octokit, context, inputs, triggerMode, releaseType, pullRequest);
 
-    const latestVersion = getLatestVersion();
-    core.info(`🏷️ Latest version: ${latestVersion}`);
+    const newVersion = versionOverride
+      ? versionOverride.newVersion
+      : calculateVersion(latestVersion, releaseType, isPrerelease, inputs, existingVersions);
+    if (maintenanceLine) {
+      assertVersionInLine(newVersion, maintenanceLine);
+    }
+    assertVersionNotTagged(newVersion, allVersions, inputs);
 
-    const newVersion = calculateVersion(latestVersion, releaseType, isPrerelease, inputs);
-    core.info(`🆕 New version: ${newVersion}`);
+    const newTag = formatTag(newVersion, inputs);
+    core.info(`🆕 New version: ${newTag}`);
 
+    let packageFiles = [];
     if (executionMode !== 'release-only') {
-      handlePackageJson(inputs, newVersion);
+      packageFiles = handlePackageJson(inputs, newVersion);
+      handleVersionFiles(inputs, newVersion);
     }
 
-    setReleaseOutputs({
-      released: false,
-      version: newVersion,
-      previousVersion: latestVersion,
+    const releasePlan = {
+      latestVersion,
+      latestTag,
+      newVersion,
+      newTag,
       releaseType,
       isPrerelease,
-      tagName: newVersion
-    });
+      existingVersions,
+      packageFiles,
+      maintenanceLine,
+      skipBaseTag: Boolean(maintenanceLine) && hasNewerVersionInMajor(newVersion, allVersions),
+      pullRequests: await resolveReleaseNotePullRequests(octokit, context, inputs, latestTag, pullRequests)
+    };
+
+    setReleaseOutputs(inputs, { released: false, ...releasePlan });
+    await reportReleasePlan(octokit, context, inputs, executionMode, { ...releasePlan, reason, skipReason });
 
     if (executionMode === 'validate') {
       core.info('🧪 Validation mode enabled. Skipping build, branch push, tag, and release creation.');
@@ -89,55 +261,362 @@ async function run() {
     }
 
     if (executionMode === 'prepare') {
-      await preparePullRequestRelease(context, inputs, newVersion);
+      await preparePullRequestRelease(context, inputs, newTag, packageFiles);
       core.info('✅ Pull request release preparation completed');
       return;
     }
 
     if (executionMode === 'release-only') {
-      await createReleaseOnly(octokit, context, inputs, latestVersion, newVersion, releaseType, isPrerelease);
+      await createReleaseOnly(octokit, context, inputs, releasePlan);
       return;
     }
 
-    await createFinalRelease(octokit, context, inputs, latestVersion, newVersion, releaseType, isPrerelease);
+    await createFinalRelease(octokit, context, inputs, releasePlan);
   } catch (error) {
     core.error(`❌ Action failed: ${error.message}`);
     core.setFailed(error.message);
   }
 }
 
+async function applyAutoLabels(octokit, context, inputs) {
+  parseAutoLabelRules(inputs.autoLabelRules);
+
+  try {
+    await autoLabelPullRequest(octokit, context, inputs);
+  } catch (error) {
+    core.warning(`Failed to auto-label the pull request: ${error.message}`);
+  }
+}
+
+function resolveMaintenanceLine(context, inputs) {
+  const patterns = parseMaintenanceBranches(inputs.maintenanceBranches);
+  if (patterns.length === 0) {
+    return null;
+  }
+
+  const maintenanceLine = matchMaintenanceBranch(resolveTargetBranch(context), patterns);
+  if (maintenanceLine) {
+    const line = formatMaintenanceLine(maintenanceLine);
+    core.info(`🛠️ Maintenance branch ${maintenanceLine.branch}: releasing within the ${line} line`);
+  }
+
+  return maintenanceLine;
+}
+
+function resolveReleaseChannel(context, inputs) {
+  const channels = parseChannels(inputs.channels);
+  if (channels.length === 0) {
+    return null;
+  }
+
+  const channel = findChannel(resolveTargetBranch(context), channels);
+  if (!channel) {
+    return null;
+  }
+
+  core.info(`📣 Release channel for ${channel.branch}: ${channel.name}`);
+  core.setOutput('channel', channel.name);
+  core.setOutput('channel-branch', channel.branch);
+
+  if (channel.prerelease) {
+    inputs.prereleaseSuffix = channel.name;
+  }
+
+  return channel;
+}
+
+function getLatestMaintenanceVersion(existingVersions, maintenanceLine) {
+  if (existingVersions.length === 0) {
+    throw new Error(
+      `No ${formatMaintenanceLine(maintenanceLine)} versions found for maintenance branch ${maintenanceLine.branch}`
+    );
+  }
+
+  return existingVersions[0];
+}
+
+function hasNewerVersionInMajor(newVersion, versions) {
+  const { major } = parseVersion(newVersion);
+  return versions.some(version => {
+    const parsed = parseVersion(version);
+    return !parsed.prerelease && parsed.major === major && compareVersions(version, newVersion) > 0;
+  });
+}
+
+async function resolveMergedPullRequests(octokit, context, inputs, triggerMode, latestTag, packagePath = null) {
+  if (!inputs.aggregatePullRequests || inputs.versionSource === 'commits') {
+    return null;
+  }
+
+  const aggregateTriggers = ['push-main', 'push-branch', 'manual', 'schedule'];
+  if (!aggregateTriggers.includes(triggerMode) || hasExplicitReleaseType(inputs, triggerMode)) {
+    return null;
+  }
+
+  const scope = packagePath ? ` touching ${packagePath}` : '';
+  core.info(`🔗 Collecting pull requests${scope} merged since ${latestTag || 'the first commit'}...`);
+  const pullRequests = packagePath
+    ? await listMergedPullRequestsSince(octokit, context, latestTag, packagePath)
+    : await listMergedPullRequestsSince(octokit, context, latestTag);
+  core.info(`Found ${pullRequests.length} merged pull request(s)`);
+
+  return pullRequests;
+}
+
+async function resolveReleaseNotePullRequests(
+  octokit, context, inputs, latestTag, pullRequests, packagePath = null, changedFiles = null
+) {
+  if (!inputs.categorizeReleaseNotes || !inputs.autoGenerateNotes) {
+    return pullRequests;
+  }
+
+  parseReleaseNoteSections(inputs.releaseNotesSections);
+
+  try {
+    const merged = pullRequests || (packagePath
+      ? await listMergedPullRequestsSince(octokit, context, latestTag, packagePath)
+      : await listMergedPullRequestsSince(octokit, context, latestTag));
+    const current = context.payload.pull_request;
+
+    // An open PR is not merged yet, but its changes are what the planned release would ship.
+    if (
+      !current?.number ||
+      merged.some(pullRequest => pullRequest.number === current.number) ||
+      (packagePath && changedFiles && !isPathTouched(changedFiles, packagePath))
+    ) {
+      return merged;
+    }
+    return [...merged, summarizePullRequest(current)];
+  } catch (error) {
+    core.warning(`Failed to collect pull requests for the release notes: ${error.message}`);
+    return pullRequests;
+  }
+}
+
+function resolveReleaseType(context, inputs, triggerMode, latestTag, packagePath = null, pullRequests = null) {
+  const parsed = parseLabels(context, inputs, triggerMode);
+  const labels = pullRequests
+    ? { ...determineReleaseTypeFromPullRequests(pullRequests, inputs), skipReason: parsed.skipReason }
+    : parsed;
+  const { releaseType, matchedLabel, skipReason = null } = labels;
+  const isPrerelease = labels.isPrerelease || (Boolean(inputs.channel?.prerelease) && releaseType !== 'promote');
+
+  if (
+    inputs.versionSource !== 'commits' ||
+    ['promote', 'graduate'].includes(releaseType) ||
+    hasExplicitReleaseType(inputs, triggerMode)
+  ) {
+    if (matchedLabel) {
+      core.setOutput('matched-label', matchedLabel);
+    }
+    const reason = describeLabelReason(triggerMode, matchedLabel, pullRequests);
+    return { releaseType, isPrerelease, skipReason, reason, pullRequest: labels.pullRequest || null };
+  }
+
+  core.info('🔎 Detecting release type from Conventional Commits...');
+  return {
+    releaseType: detectReleaseTypeFromCommits(latestTag, inputs, packagePath),
+    isPrerelease,
+    skipReason,
+    reason: `Conventional Commits since ${latestTag || 'the first commit'}`
+  };
+}
+
+// Someone who picks a release type for a manual or reusable-workflow run means it, whatever the history says.
+function hasExplicitReleaseType(inputs, triggerMode) {
+  if (triggerMode === 'manual') {
+    return Boolean(inputs.manualReleaseType || inputs.releaseType);
+  }
+
+  return triggerMode === 'workflow-call' && Boolean(inputs.releaseType);
+}
+
+function resolveVersionOverride(inputs, triggerMode, latestVersion, existingVersions) {
+  if (!inputs.releaseVersion || !['manual', 'workflow-call'].includes(triggerMode)) {
+    return null;
+  }
+
+  const requested = inputs.releaseVersion.trim();
+  if (!isValidVersion(requested)) {
+    throw new Error(`Invalid release-version: ${requested}. Expected a semantic version such as v3.0.0`);
+  }
+
+  const newVersion = requested.startsWith('v') ? requested : `v${requested}`;
+  if (existingVersions.includes(newVersion)) {
+    throw new Error(`release-version ${newVersion} already exists as ${formatTag(newVersion, inputs)}`);
+  }
+
+  if (latestVersion !== 'v0.0.0' && compareVersions(newVersion, latestVersion) <= 0) {
+    if (!inputs.forceVersion) {
+      throw new Error(
+        `release-version ${newVersion} must be greater than the latest version ${latestVersion}. ` +
+        'Set force-version: true to release it anyway'
+      );
+    }
+    core.warning(
+      `Forcing release-version ${newVersion}, which is not greater than the latest version ${latestVersion}`
+    );
+  }
+
+  const latest = parseVersion(latestVersion);
+  const next = parseVersion(newVersion);
+  let releaseType = 'patch';
+  if (next.major !== latest.major) {
+    releaseType = 'major';
+  } else if (next.minor !== latest.minor) {
+    releaseType = 'minor';
+  }
+
+  core.info(`🎯 Using release-version ${newVersion}`);
+  return {
+    newVersion,
+    releaseType,
+    isPrerelease: Boolean(next.prerelease),
+    skipReason: null,
+    reason: 'release-version input'
+  };
+}
+
+function describeLabelReason(triggerMode, matchedLabel, pullRequests) {
+  if (pullRequests) {
+    return `label \`${matchedLabel}\` across ${pullRequests.length} merged pull request(s)`;
+  }
+
+  return matchedLabel ? `label \`${matchedLabel}\`` : `${triggerMode} trigger input`;
+}
+
+function requiresReleaseLabel(inputs, triggerMode) {
+  return inputs.requireReleaseLabel && triggerMode === 'pr-open' && inputs.versionSource !== 'commits';
+}
+
+function describeMissingReleaseLabel(inputs) {
+  const bumpLabels = [inputs.majorLabel, inputs.minorLabel, inputs.patchLabel].filter(Boolean).join(', ');
+  const skipHint = inputs.skipReleaseLabel ? `, or ${inputs.skipReleaseLabel} to merge without releasing` : '';
+  return `No release label found on this pull request. Add one of: ${bumpLabels}${skipHint}`;
+}
+
+async function reportReleasePlan(octokit, context, inputs, executionMode, plan) {
+  await updatePlanComment(octokit, context, inputs, executionMode, plan);
+  await updateReleaseCheck(octokit, context, inputs, plan);
+}
+
+async function updateReleaseCheck(octokit, context, inputs, plan) {
+  if (inputs.statusCheck === 'none') {
+    return;
+  }
+
+  try {
+    const check = formatReleaseCheck(plan);
+    await publishReleaseCheck(octokit, context, inputs.statusCheck, check);
+    core.info(`✅ Published ${inputs.statusCheck}: ${check.title}`);
+  } catch (error) {
+    core.warning(`Failed to publish the release ${inputs.statusCheck}: ${error.message}`);
+  }
+}
+
+async function updatePlanComment(octokit, context, inputs, executionMode, plan) {
+  if (!inputs.prComment || !['prepare', 'validate'].includes(executionMode) || !context.payload.pull_request?.number) {
+    return;
+  }
+
+  try {
+    const releaseNotes = plan.newTag ? generateReleaseNotes(plan.latestTag, plan.newTag, inputs, plan.pullRequests) : null;
+    await upsertPlanComment(octokit, context, formatPlanComment({ ...plan, releaseNotes }));
+    core.info('💬 Updated the release plan comment on the pull request');
+  } catch (error) {
+    core.warning(`Failed to update the release plan comment: ${error.message}`);
+  }
+}
+
+// Returns true when the run should stop. Validate mode keeps going so it can still report the would-be release.
+function applySkipReason(skipReason, executionMode) {
+  if (!skipReason) {
+    return false;
+  }
+
+  core.setOutput('skip-reason', skipReason);
+
+  if (executionMode === 'validate') {
+    core.info(`⏭️ ${skipReason}. Validate mode still reports what would have been released.`);
+    return false;
+  }
+
+  core.info(`⏭️ ${skipReason}. Skipping release creation.`);
+  core.setOutput('released', 'false');
+  core.setOutput('release-type', 'none');
+  return true;
+}
+
 function handlePackageJson(inputs, newVersion) {
   const packageJsonMode = resolvePackageJsonMode(inputs);
 
   switch (packageJsonMode) {
     case 'update':
       updatePackageJson(inputs.packageJsonPath, newVersion);
-      break;
+      return syncPackageFiles(inputs, newVersion);
     case 'verify':
       verifyPackageJsonVersion(inputs.packageJsonPath, newVersion);
-      break;
+      return [];
     case 'ignore':
       core.info('📦 Skipping package.json handling');
-      break;
+      return [];
     default:
       throw new Error(`Invalid package-json-mode: ${packageJsonMode}`);
   }
 }
 
+function syncPackageFiles(inputs, newVersion) {
+  const packageFiles = [inputs.packageJsonPath, ...syncLockfiles(inputs.packageJsonPath, newVersion)];
+
+  if (inputs.updateWorkspaceDependencies) {
+    packageFiles.push(...updateWorkspaceDependencies(inputs.packageJsonPath, newVersion));
+  }
+
+  return [...new Set(packageFiles)];
+}
+
+function handleVersionFiles(inputs, newVersion, packageName = null) {
+  const entries = parseVersionFiles(inputs.versionFiles).filter(entry => (entry.package || null) === packageName);
+
+  for (const entry of entries) {
+    const mode = entry.mode || resolvePackageJsonMode(inputs);
+
+    switch (mode) {
+      case 'update':
+        updateVersionFile(entry, newVersion);
+        break;
+      case 'verify':
+        verifyVersionFile(entry, newVersion);
+        break;
+      case 'ignore':
+        core.info(`📦 Skipping version file ${entry.path}`);
+        break;
+      default:
+        throw new Error(`Invalid version file mode for ${entry.path}: ${mode}`);
+    }
+  }
+}
+
+function getUpdatedVersionFilePaths(inputs) {
+  return parseVersionFiles(inputs.versionFiles)
+    .filter(entry => (entry.mode || resolvePackageJsonMode(inputs)) === 'update')
+    .map(entry => entry.path);
+}
+
 function resolvePackageJsonMode(inputs) {
   return inputs.packageJsonMode || (inputs.updatePackageJson ? 'update' : 'ignore');
 }
 
-function setReleaseOutputs({ released, version, previousVersion, releaseType, isPrerelease, tagName }) {
+function setReleaseOutputs(inputs, { released, newVersion, latestVersion, releaseType, isPrerelease, newTag }) {
   core.setOutput('released', released.toString());
-  core.setOutput('version', version);
-  core.setOutput('previous-version', previousVersion);
+  core.setOutput('version', formatVersionOutput(newVersion, inputs));
+  core.setOutput('previous-version', formatVersionOutput(latestVersion, inputs));
   core.setOutput('release-type', releaseType);
   core.setOutput('is-prerelease', isPrerelease.toString());
-  core.setOutput('tag-name', tagName);
+  core.setOutput('tag-name', newTag);
 }
 
-async function preparePullRequestRelease(context, inputs, newVersion) {
+async function preparePullRequestRelease(context, inputs, newTag, packageJsonPaths) {
   core.info('🛠️ Prepare mode enabled. Running install, test, and build without creating a tag or release.');
 
   await setupNodeAndDependencies(inputs);
@@ -151,7 +630,7 @@ async function preparePullRequestRelease(context, inputs, newVersion) {
 
   configureGit(inputs);
 
-  const committed = await commitChanges(newVersion, inputs);
+  const committed = await commitChanges(newTag, inputs, packageJsonPaths);
   if (committed) {
     await pushBranchChanges(context);
   } else {
@@ -159,7 +638,9 @@ async function preparePullRequestRelease(context, inputs, newVersion) {
   }
 }
 
-async function createFinalRelease(octokit, context, inputs, latestVersion, newVersion, releaseType, isPrerelease) {
+async function createFinalRelease(octokit, context, inputs, releasePlan) {
+  const { newTag } = releasePlan;
+
   await setupNodeAndDependencies(inputs);
   await runTests(inputs);
   await runBuild(inputs);
@@ -168,92 +649,421 @@ async function createFinalRelease(octokit, context, inputs, latestVersion, newVe
 
   let shouldPushBranch = false;
   if (inputs.commitChanges) {
-    shouldPushBranch = await commitChanges(newVersion, inputs);
+    shouldPushBranch = await commitChanges(newTag, inputs, releasePlan.packageFiles);
   } else {
     core.info('📝 Skipping commit step because commit-changes is disabled');
   }
 
-  await createAndPushTag(newVersion, { pushBranch: shouldPushBranch });
+  await createAndPushTag(newTag, { pushBranch: shouldPushBranch });
 
-  await publishRelease(octokit, context, inputs, latestVersion, newVersion, releaseType, isPrerelease);
+  const published = await publishRelease(octokit, context, inputs, releasePlan);
+  setPublishedOutputs(inputs, releasePlan, published);
 }
 
-async function createReleaseOnly(octokit, context, inputs, latestVersion, newVersion, releaseType, isPrerelease) {
+async function createReleaseOnly(octokit, context, inputs, releasePlan) {
+  const { newTag } = releasePlan;
+
   core.info('🏷️ Release-only mode enabled. Skipping package.json handling, install, test, build, and branch commits.');
 
   configureGit(inputs);
 
-  await createAndPushTag(newVersion, { pushBranch: false });
-  await publishRelease(octokit, context, inputs, latestVersion, newVersion, releaseType, isPrerelease);
+  await createAndPushTag(newTag, { pushBranch: false });
+  const published = await publishRelease(octokit, context, inputs, releasePlan);
+  setPublishedOutputs(inputs, releasePlan, published);
 }
 
-async function publishRelease(octokit, context, inputs, latestVersion, newVersion, releaseType, isPrerelease) {
-  const releaseNotes = generateReleaseNotes(latestVersion, newVersion, inputs);
+async function publishRelease(octokit, context, inputs, releasePlan) {
+  const {
+    latestTag,
+    newVersion,
+    newTag,
+    releaseType,
+    isPrerelease,
+    existingVersions,
+    maintenanceLine,
+    skipBaseTag,
+    pullRequests,
+    package: pkg
+  } = releasePlan;
+
+  let releaseNotes = generateReleaseNotes(latestTag, newTag, inputs, pullRequests, pkg?.path);
+  if (releaseType === 'promote') {
+    releaseNotes = await appendPrereleaseNotes(octokit, context, inputs, releaseNotes, newVersion, existingVersions);
+  }
 
   const release = await createRelease(octokit, context, {
-    tagName: newVersion,
-    name: newVersion,
+    tagName: newTag,
+    name: newTag,
     body: releaseNotes,
-    prerelease: isPrerelease
+    prerelease: isPrerelease,
+    makeLatest: maintenanceLine ? 'false' : undefined
   });
 
   core.info(`✅ Created release: ${release.html_url}`);
 
-  setReleaseOutputs({
-    released: true,
-    version: newVersion,
-    previousVersion: latestVersion,
-    releaseType,
-    isPrerelease,
-    tagName: newVersion
-  });
+  let majorVersion = null;
+  if (skipBaseTag) {
+    core.info(`ℹ️ A newer ${parseVersion(newVersion).major}.x release exists, leaving its base tag untouched`);
+  } else if (inputs.baseRelease && !isPrerelease) {
+    const baseTag = resolveBaseTag(newVersion, inputs);
+
+    const majorRelease = await createMajorRelease(octokit, context, {
+      majorVersion: baseTag,
+      fullVersion: newTag
+    });
+
+    if (majorRelease) {
+      core.info(`✅ Synced major version tag ${baseTag} to ${newTag}`);
+      majorVersion = baseTag;
+    }
+  }
+
+  return { release, majorVersion };
+}
+
+function resolveBaseTag(newVersion, inputs) {
+  const { major, minor } = parseVersion(newVersion);
+
+  if (major === 0 && inputs.zeroMajorBaseTag === 'minor') {
+    return formatBaseTag(major, inputs, minor);
+  }
+
+  return formatBaseTag(major, inputs);
+}
+
+function setPublishedOutputs(inputs, releasePlan, { release, majorVersion }) {
+  setReleaseOutputs(inputs, { released: true, ...releasePlan });
   core.setOutput('release-url', release.html_url);
   core.setOutput('release-id', release.id.toString());
 
-  if (inputs.baseRelease && !isPrerelease) {
-    const majorVersion = newVersion.split('.')[0];
+  if (majorVersion) {
+    core.setOutput('major-version', majorVersion);
+    core.setOutput('major-release-url', release.html_url);
+  }
 
-    const majorRelease = await createMajorRelease(octokit, context, {
-      majorVersion,
-      fullVersion: newVersion
+  core.info('🎉 Semantic release completed successfully!');
+}
+
+async function runMonorepoRelease(octokit, context, inputs, triggerMode, executionMode) {
+  const packages = parsePackages(inputs.packages);
+  warnIgnoredMonorepoInputs(inputs);
+  core.info(`📚 Monorepo mode enabled for ${packages.length} package(s): ${packages.map(pkg => pkg.name).join(', ')}`);
+
+  if (requiresReleaseLabel(inputs, triggerMode)) {
+    const { releaseType, skipReason } = parseLabels(context, inputs, triggerMode);
+    if (releaseType === 'none' && !skipReason) {
+      throw new Error(describeMissingReleaseLabel(inputs));
+    }
+  }
+
+  const tags = await listTags(octokit, context, inputs);
+  const isPullRequest = triggerMode === 'pr-open' || triggerMode === 'pr-merge';
+  const changedFiles = isPullRequest ? await listPullRequestFiles(octokit, context) : null;
+  const releasePlans = [];
+
+  for (const pkg of packages) {
+    const packageInputs = { ...inputs, tagPrefix: pkg.tagPrefix, packageJsonPath: pkg.packageJsonPath };
+    const existingVersions = getExistingVersions(tags, packageInputs);
+    const channelVersions = filterChannelVersions(existingVersions, inputs.channel);
+    const latestVersion = getLatestVersion(selectLatestCandidates(channelVersions, packageInputs), packageInputs);
+    const latestTag = latestVersion === 'v0.0.0' ? null : formatTag(latestVersion, packageInputs);
+    core.info(`🏷️ ${pkg.name} latest version: ${latestTag || latestVersion}`);
+    if (!latestTag) {
+      await assertNoPriorReleases(octokit, context, packageInputs);
+    }
+
+    const { releaseType, isPrerelease, skipReason, pullRequests, pullRequest } = await resolvePackageReleaseType(
+      octokit, context, packageInputs, triggerMode, latestTag, pkg, changedFiles
+    );
+
+    if (releaseType === 'none') {
+      core.info(`ℹ️ ${pkg.name}: no release needed`);
+      continue;
+    }
+
+    if (releasePlans.length === 0 && applySkipReason(skipReason, executionMode)) {
+      return;
+    }
+
+    await enforceReleasePolicy(octokit, context, packageInputs, triggerMode, releaseType, pullRequest);
+
+    const newVersion = calculateVersion(latestVersion, releaseType, isPrerelease, packageInputs, existingVersions);
+    assertVersionNotTagged(newVersion, existingVersions, packageInputs);
+    const newTag = formatTag(newVersion, packageInputs);
+    core.info(`🆕 ${pkg.name}: ${newTag} (${releaseType}${isPrerelease ? ', prerelease' : ''})`);
+
+    let packageFiles = [];
+    if (executionMode !== 'release-only') {
+      packageFiles = handlePackageJson(packageInputs, newVersion);
+      handleVersionFiles(packageInputs, newVersion, pkg.name);
+    }
+
+    releasePlans.push({
+      package: pkg,
+      inputs: packageInputs,
+      latestVersion,
+      latestTag,
+      newVersion,
+      newTag,
+      releaseType,
+      isPrerelease,
+      existingVersions,
+      packageFiles,
+      pullRequests: await resolveReleaseNotePullRequests(
+        octokit, context, packageInputs, latestTag, pullRequests, pkg.path, changedFiles
+      )
     });
+  }
 
-    if (majorRelease) {
-      core.info(`✅ Synced major version tag ${majorVersion} to ${newVersion}`);
-      core.setOutput('major-version', majorVersion);
-      core.setOutput('major-release-url', release.html_url);
+  setPackageOutputs(releasePlans, false);
+
+  if (releasePlans.length === 0) {
+    core.info('ℹ️ No packages need a release. Skipping release creation.');
+    return;
+  }
+
+  const releaseSummary = releasePlans.map(plan => plan.newTag).join(', ');
+  const packageJsonPaths = [...new Set(releasePlans.flatMap(plan => plan.packageFiles))];
+
+  if (executionMode === 'validate') {
+    core.info('🧪 Validation mode enabled. Skipping build, branch push, tag, and release creation.');
+    return;
+  }
+
+  if (executionMode === 'prepare') {
+    await preparePullRequestRelease(context, inputs, releaseSummary, packageJsonPaths);
+    core.info('✅ Pull request release preparation completed');
+    return;
+  }
+
+  let shouldPushBranch = false;
+  if (executionMode === 'release-only') {
+    core.info('🏷️ Release-only mode enabled. Skipping package.json handling, install, test, build, and branch commits.');
+    configureGit(inputs);
+  } else {
+    await setupNodeAndDependencies(inputs);
+    await runTests(inputs);
+    await runBuild(inputs);
+
+    configureGit(inputs);
+
+    if (inputs.commitChanges) {
+      shouldPushBranch = await commitChanges(releaseSummary, inputs, packageJsonPaths);
+    } else {
+      core.info('📝 Skipping commit step because commit-changes is disabled');
     }
   }
 
+  for (const [index, plan] of releasePlans.entries()) {
+    await createAndPushTag(plan.newTag, { pushBranch: shouldPushBranch && index === 0 });
+  }
+
+  for (const plan of releasePlans) {
+    const { release } = await publishRelease(octokit, context, plan.inputs, plan);
+    plan.releaseUrl = release.html_url;
+  }
+
+  setPackageOutputs(releasePlans, true);
   core.info('🎉 Semantic release completed successfully!');
 }
 
-function getLatestVersion() {
-  try {
-    execSync('git fetch --tags', { stdio: 'pipe' });
+// These inputs only understand a single release plan, so say so instead of silently doing nothing.
+function warnIgnoredMonorepoInputs(inputs) {
+  const ignoredInputs = [
+    ['maintenance-branches', Boolean(inputs.maintenanceBranches)],
+    ['pr-comment', inputs.prComment],
+    ['release-version', Boolean(inputs.releaseVersion)],
+    ['status-check', inputs.statusCheck !== 'none']
+  ];
+
+  for (const [name, enabled] of ignoredInputs) {
+    if (enabled) {
+      core.warning(`${name} is ignored when packages is set`);
+    }
+  }
+}
 
-    const allTags = execSync('git tag --sort=-version:refname', { encoding: 'utf8' }).trim();
-    if (allTags) {
-      const tags = allTags.split('\n');
-      const semverTags = tags.filter(tag => /^v\d+\.\d+\.\d+/.test(tag));
-      if (semverTags.length > 0) {
-        return semverTags[0];
-      }
+async function resolvePackageReleaseType(octokit, context, inputs, triggerMode, latestTag, pkg, changedFiles) {
+  if (inputs.versionSource !== 'commits') {
+    const touched = changedFiles
+      ? isPathTouched(changedFiles, pkg.path)
+      : hasCommitsTouchingPath(latestTag, pkg.path);
+
+    if (!touched) {
+      core.info(`${pkg.name}: no changes under ${pkg.path}`);
+      return { releaseType: 'none', isPrerelease: false };
     }
+  }
+
+  const pullRequests = await resolveMergedPullRequests(octokit, context, inputs, triggerMode, latestTag, pkg.path);
+  return {
+    ...resolveReleaseType(context, inputs, triggerMode, latestTag, pkg.path, pullRequests),
+    pullRequests
+  };
+}
+
+function setPackageOutputs(releasePlans, released) {
+  const summary = releasePlans.map(plan => ({
+    name: plan.package.name,
+    path: plan.package.path,
+    version: formatVersionOutput(plan.newVersion, plan.inputs),
+    previousVersion: formatVersionOutput(plan.latestVersion, plan.inputs),
+    tagName: plan.newTag,
+    releaseType: plan.releaseType,
+    isPrerelease: plan.isPrerelease,
+    released,
+    ...(plan.releaseUrl ? { releaseUrl: plan.releaseUrl } : {})
+  }));
+
+  core.setOutput('released', (released && releasePlans.length > 0).toString());
+  core.setOutput('released-packages', JSON.stringify(summary));
+}
+
+async function appendPrereleaseNotes(octokit, context, inputs, releaseNotes, newVersion, existingVersions) {
+  const prereleaseTags = findPrereleasesOf(newVersion, existingVersions).map(version => formatTag(version, inputs));
+  core.info(`📚 Aggregating notes from ${prereleaseTags.length} prerelease(s): ${prereleaseTags.join(', ')}`);
+
+  const prereleaseNotes = await aggregatePrereleaseNotes(octokit, context, prereleaseTags);
+  if (!prereleaseNotes) {
+    return releaseNotes;
+  }
 
+  return `${releaseNotes}\n\n## Included Prereleases\n\n${prereleaseNotes}`;
+}
+
+async function listTags(octokit, context, inputs) {
+  if (inputs.versionLookup === 'api') {
     try {
-      const latestTag = execSync('git describe --tags --abbrev=0 --match="v*.*.*"', { encoding: 'utf8' }).trim();
-      return latestTag;
+      const tags = await listRepositoryTags(octokit, context);
+      core.info(`🔎 Found ${tags.length} tag(s) through the GitHub API`);
+      return tags;
     } catch (error) {
-      // No semantic version tags found.
+      throw new Error(`Failed to list tags through the GitHub API: ${error.message}`);
+    }
+  }
+
+  try {
+    execSync('git fetch --tags', { stdio: 'pipe' });
+
+    const allTags = execSync('git tag --sort=-version:refname', { encoding: 'utf8' }).trim();
+    return allTags ? allTags.split('\n') : [];
+  } catch (error) {
+    core.info(`Unable to list tags: ${error.message}`);
+    return [];
+  }
+}
+
+function selectLatestCandidates(versions, inputs) {
+  if (!inputs.reachableTagsOnly || versions.length === 0) {
+    return versions;
+  }
+
+  const reachableTags = new Set(readTagList('git tag --merged HEAD'));
+  const localTags = new Set(readTagList('git tag --list'));
+
+  return versions.filter(version => {
+    const tag = formatTag(version, inputs);
+    if (reachableTags.has(tag)) {
+      return true;
     }
 
+    const reason = localTags.has(tag) ? 'not reachable from HEAD' : 'not present in the local checkout';
+    core.info(`⏭️ Skipping tag ${tag}: ${reason}`);
+    return false;
+  });
+}
+
+// Skipped tags still exist on the remote, and pushing the new tag would move them onto HEAD.
+function assertVersionNotTagged(newVersion, existingVersions, inputs) {
+  if (!existingVersions.includes(newVersion)) {
+    return;
+  }
+
+  const tag = formatTag(newVersion, inputs);
+  if (!inputs.reachableTagsOnly) {
+    throw new Error(`Cannot release ${tag}: the tag already exists`);
+  }
+  throw new Error(
+    `Cannot release ${tag}: the tag already exists but is not reachable from HEAD. ` +
+    `Delete or merge ${tag}, or disable reachable-tags-only`
+  );
+}
+
+function readTagList(command) {
+  try {
+    const output = execSync(command, { encoding: 'utf8' }).trim();
+    return output ? output.split('\n') : [];
+  } catch (error) {
+    core.warning(`Unable to list tags with "${command}": ${error.message}`);
+    return [];
+  }
+}
+
+function isShallowRepository() {
+  try {
+    return execSync('git rev-parse --is-shallow-repository', { encoding: 'utf8' }).trim() === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+async function assertNoPriorReleases(octokit, context, inputs) {
+  let releaseTags;
+  try {
+    releaseTags = await listReleaseTags(octokit, context);
+  } catch (error) {
+    core.warning(`Unable to check for existing releases: ${error.message}`);
+    return;
+  }
+
+  const releasedVersions = getExistingVersions(releaseTags, inputs);
+  if (releasedVersions.length === 0) {
+    return;
+  }
+
+  const hint = inputs.versionLookup === 'api'
+    ? 'Check tag-format and tag-prefix'
+    : `${isShallowRepository() ? 'The checkout is shallow. ' : ''}Use fetch-depth: 0 on checkout or set version-lookup: api`;
+
+  throw new Error(
+    `No version tags found, but ${releasedVersions.length} release(s) already exist ` +
+    `(latest: ${formatTag(releasedVersions[0], inputs)}). Refusing to start from v0.0.0. ${hint}`
+  );
+}
+
+function getExistingVersions(tags, inputs) {
+  const allowLeadingZeros = inputs.versioningScheme === 'calver';
+  const versions = tags
+    .map(tag => parseTag(tag, inputs))
+    .filter(version => version && isValidVersion(version, { allowLeadingZeros }));
+  return sortVersionsDescending(versions);
+}
+
+function getLatestVersion(existingVersions, inputs) {
+  if (existingVersions.length > 0) {
+    return existingVersions[0];
+  }
+
+  if (inputs.versionLookup === 'api') {
     core.info('No previous semantic version tags found, starting from v0.0.0');
     return 'v0.0.0';
+  }
+
+  try {
+    const latestTag = execSync(
+      `git describe --tags --abbrev=0 --match="${formatTagPattern(inputs)}"`,
+      { encoding: 'utf8' }
+    ).trim();
+    const latestVersion = latestTag ? parseTag(latestTag, inputs) : null;
+    if (latestVersion) {
+      return latestVersion;
+    }
   } catch (error) {
-    core.info('No previous tags found, starting from v0.0.0');
-    return 'v0.0.0';
+    // No semantic version tags found.
   }
+
+  core.info('No previous semantic version tags found, starting from v0.0.0');
+  return 'v0.0.0';
 }
 
 async function setupNodeAndDependencies(inputs) {
@@ -319,7 +1129,7 @@ function configureGit(inputs) {
   execSync(`git config --local user.name "${inputs.gitUserName}"`);
 }
 
-async function commitChanges(newVersion, inputs) {
+async function commitChanges(newTag, inputs, packageJsonPaths = [inputs.packageJsonPath]) {
   try {
     const isGitHubAction = fs.existsSync('action.yml') || fs.existsSync('action.yaml');
 
@@ -330,16 +1140,18 @@ async function commitChanges(newVersion, inputs) {
       tryGitAdd('coverage/');
 
       if (resolvePackageJsonMode(inputs) === 'update') {
-        tryGitAdd(inputs.packageJsonPath);
+        packageJsonPaths.forEach(packageJsonPath => tryGitAdd(packageJsonPath));
       }
 
+      getUpdatedVersionFilePaths(inputs).forEach(versionFilePath => tryGitAdd(versionFilePath));
+
       if (!hasStagedChanges()) {
         core.info('No staged changes to commit');
         return false;
       }
 
       core.info('📝 Committing built files and version changes...');
-      execSync(`git commit -m "build: update dist and version for ${newVersion}"`, {
+      execSync(`git commit -m "build: update dist and version for ${newTag}"`, {
         stdio: 'inherit'
       });
       return true;
@@ -349,7 +1161,7 @@ async function commitChanges(newVersion, inputs) {
     if (status.trim()) {
       core.info('📝 Committing version changes...');
       execSync('git add .');
-      execSync(`git commit -m "chore: bump version to ${newVersion}"`, { stdio: 'inherit' });
+      execSync(`git commit -m "chore: bump version to ${newTag}"`, { stdio: 'inherit' });
       return true;
     }
 
@@ -414,25 +1226,25 @@ async function pushBranchChanges(context) {
   }
 }
 
-async function createAndPushTag(newVersion, options = {}) {
+async function createAndPushTag(newTag, options = {}) {
   const { pushBranch = false } = options;
-  core.info(`🏷️ Creating and pushing tag: ${newVersion}`);
+  core.info(`🏷️ Creating and pushing tag: ${newTag}`);
 
   try {
-    execSync(`git tag -d "${newVersion}"`, { stdio: 'pipe' });
-    core.info(`Deleted existing local tag: ${newVersion}`);
+    execSync(`git tag -d "${newTag}"`, { stdio: 'pipe' });
+    core.info(`Deleted existing local tag: ${newTag}`);
   } catch (error) {
     // Tag doesn't exist locally.
   }
 
   try {
-    execSync(`git push origin ":refs/tags/${newVersion}"`, { stdio: 'pipe' });
-    core.info(`Deleted existing remote tag: ${newVersion}`);
+    execSync(`git push origin ":refs/tags/${newTag}"`, { stdio: 'pipe' });
+    core.info(`Deleted existing remote tag: ${newTag}`);
   } catch (error) {
     // Tag doesn't exist remotely.
   }
 
-  execSync(`git tag -a "${newVersion}" -m "Release ${newVersion}"`);
+  execSync(`git tag -a "${newTag}" -m "Release ${newTag}"`);
 
   if (pushBranch) {
     execSync('git push origin HEAD');
@@ -440,12 +1252,17 @@ async function createAndPushTag(newVersion, options = {}) {
     core.info('Skipping branch push; only pushing the release tag');
   }
 
-  execSync(`git push origin "${newVersion}"`);
+  execSync(`git push origin "${newTag}"`);
+}
+
+function formatPullRequestNote(pullRequest) {
+  const author = pullRequest.author ? ` by @${pullRequest.author}` : '';
+  return `- ${pullRequest.title} (#${pullRequest.number})${author}`;
 }
 
-function generateReleaseNotes(latestVersion, newVersion, inputs) {
+function generateReleaseNotes(latestTag, newTag, inputs, pullRequests = null, packagePath = null) {
   if (!inputs.autoGenerateNotes) {
-    return `Release ${newVersion}`;
+    return `Release ${newTag}`;
   }
 
   core.info('📝 Generating release notes...');
@@ -453,17 +1270,23 @@ function generateReleaseNotes(latestVersion, newVersion, inputs) {
   let notes = '## What\'s Changed\n\n';
 
   try {
-    const commitRange = latestVersion === 'v0.0.0' ? 'HEAD' : `${latestVersion}..HEAD`;
-    const commits = execSync(`git log --pretty=format:"- %s (%h)" ${commitRange}`, { encoding: 'utf8' });
-    notes += commits;
+    if (pullRequests?.length && inputs.categorizeReleaseNotes) {
+      notes += formatCategorizedNotes(pullRequests, inputs) || 'No notable changes.';
+    } else if (pullRequests?.length) {
+      notes += pullRequests.map(formatPullRequestNote).join('\n');
+    } else {
+      const commitRange = latestTag ? `${latestTag}..HEAD` : 'HEAD';
+      const pathFilter = packagePath ? ` -- "${packagePath}"` : '';
+      notes += execSync(`git log --pretty=format:"- %s (%h)" ${commitRange}${pathFilter}`, { encoding: 'utf8' });
+    }
 
-    if (latestVersion !== 'v0.0.0') {
+    if (latestTag) {
       const repoUrl = `https://github.com/${github.context.repo.owner}/${github.context.repo.repo}`;
-      notes += `\n\n**Full Changelog**: ${repoUrl}/compare/${latestVersion}...${newVersion}`;
+      notes += `\n\n**Full Changelog**: ${repoUrl}/compare/${latestTag}...${newTag}`;
     }
   } catch (error) {
     core.warning('Failed to generate detailed release notes');
-    notes = `Release ${newVersion}`;
+    notes = `Release ${newTag}`;
   }
 
   return notes;
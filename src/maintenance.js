@@ -0,0 +1,71 @@
+const { parseVersion, escapeRegExp } = require('./utils');
+
+function parseMaintenanceBranches(branchesInput) {
+  const patterns = (branchesInput || '')
+    .split(/[,\n]/)
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+
+  for (const pattern of patterns) {
+    if (!pattern.includes('{major}')) {
+      throw new Error(`Invalid maintenance-branches pattern: ${pattern}. Patterns must contain {major}`);
+    }
+  }
+
+  return patterns;
+}
+
+function resolveTargetBranch(context) {
+  const baseRef = context.payload?.pull_request?.base?.ref;
+  if (baseRef) {
+    return baseRef;
+  }
+
+  return (context.ref || '').replace(/^refs\/heads\//, '');
+}
+
+function matchMaintenanceBranch(branch, patterns) {
+  for (const pattern of patterns) {
+    const regex = escapeRegExp(pattern)
+      .replace(escapeRegExp('{major}'), '(?<major>\\d+)')
+      .replace(escapeRegExp('{minor}'), '(?<minor>\\d+)');
+    const match = branch.match(new RegExp(`^${regex}$`));
+
+    if (match) {
+      const { major, minor } = match.groups;
+      return {
+        branch,
+        major: parseInt(major),
+        minor: minor === undefined ? null : parseInt(minor)
+      };
+    }
+  }
+
+  return null;
+}
+
+function formatMaintenanceLine({ major, minor }) {
+  return minor === null ? `${major}.x` : `${major}.${minor}.x`;
+}
+
+function isVersionInLine(version, line) {
+  const { major, minor } = parseVersion(version);
+  return major === line.major && (line.minor === null || minor === line.minor);
+}
+
+function assertVersionInLine(version, line) {
+  if (!isVersionInLine(version, line)) {
+    throw new Error(
+      `Release ${version} would leave the ${formatMaintenanceLine(line)} line of maintenance branch ${line.branch}`
+    );
+  }
+}
+
+module.exports = {
+  parseMaintenanceBranches,
+  resolveTargetBranch,
+  matchMaintenanceBranch,
+  formatMaintenanceLine,
+  isVersionInLine,
+  assertVersionInLine
+};
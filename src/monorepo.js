@@ -0,0 +1,82 @@
+const core = require('@actions/core');
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+function normalizePackagePath(packagePath) {
+  return packagePath.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+function readPackageName(packageJsonPath) {
+  if (!fs.existsSync(packageJsonPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).name || null;
+  } catch (error) {
+    core.warning(`Failed to read package name from ${packageJsonPath}: ${error.message}`);
+    return null;
+  }
+}
+
+function parsePackages(packagesInput) {
+  const packages = [];
+
+  for (const entry of (packagesInput || '').split(/[,\n]/)) {
+    const packagePath = normalizePackagePath(entry.trim());
+    if (!packagePath) {
+      continue;
+    }
+
+    const packageJsonPath = `${packagePath}/package.json`;
+    const name = readPackageName(packageJsonPath) || path.posix.basename(packagePath);
+
+    if (packages.some(existing => existing.name === name)) {
+      throw new Error(`Duplicate package name in packages input: ${name}`);
+    }
+
+    packages.push({
+      name,
+      path: packagePath,
+      packageJsonPath,
+      tagPrefix: `${name}@`
+    });
+  }
+
+  return packages;
+}
+
+async function listPullRequestFiles(octokit, context) {
+  const pullNumber = context.payload.pull_request?.number;
+  if (!pullNumber) {
+    return null;
+  }
+
+  const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: pullNumber,
+    per_page: 100
+  });
+
+  return files.map(file => file.filename);
+}
+
+function isPathTouched(files, packagePath) {
+  const prefix = `${normalizePackagePath(packagePath)}/`;
+  return files.some(file => file.startsWith(prefix));
+}
+
+function hasCommitsTouchingPath(latestTag, packagePath) {
+  const commitRange = latestTag ? `${latestTag}..HEAD` : 'HEAD';
+  const output = execSync(`git log --format=%H ${commitRange} -- "${packagePath}"`, { encoding: 'utf8' });
+  return output.trim().length > 0;
+}
+
+module.exports = {
+  parsePackages,
+  listPullRequestFiles,
+  isPathTouched,
+  hasCommitsTouchingPath
+};
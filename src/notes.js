@@ -0,0 +1,116 @@
+const { parseLabelPatterns, findMatchingLabel } = require('./utils');
+const { parseConventionalCommit } = require('./commits');
+
+const CATCH_ALL = '*';
+const BREAKING_TYPE = '!';
+
+const DEFAULT_RELEASE_NOTE_SECTIONS = [
+  'Breaking Changes: major, breaking-change, type:!',
+  'Features: minor, feature, enhancement, type:feat',
+  'Fixes: patch, bug, fix, type:fix',
+  'Dependencies: dependencies, scope:deps',
+  'Other: *'
+].join('\n');
+
+function parseReleaseNoteSections(sectionsInput) {
+  const sections = [];
+
+  for (const line of (sectionsInput || '').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      continue;
+    }
+
+    const separatorIndex = trimmed.indexOf(':');
+    const title = trimmed.slice(0, separatorIndex).trim();
+    const matchers = trimmed.slice(separatorIndex + 1).split(',').map(entry => entry.trim()).filter(Boolean);
+
+    if (separatorIndex === -1 || !title || matchers.length === 0) {
+      throw new Error(
+        `Invalid release-notes-sections entry: ${trimmed}. Expected Title: label, type:feat (or Title: * for the rest)`
+      );
+    }
+
+    const isLabel = matcher => !matcher.startsWith('type:') && !matcher.startsWith('scope:') && matcher !== CATCH_ALL;
+    const labels = matchers.filter(isLabel).join('\n');
+    parseLabelPatterns(labels);
+
+    sections.push({
+      title,
+      labels,
+      types: matchers.filter(matcher => matcher.startsWith('type:')).map(matcher => matcher.slice(5).toLowerCase()),
+      scopes: matchers.filter(matcher => matcher.startsWith('scope:')).map(matcher => matcher.slice(6).toLowerCase()),
+      catchAll: matchers.includes(CATCH_ALL)
+    });
+  }
+
+  return sections;
+}
+
+function matchesSection(section, pullRequest) {
+  if (section.labels && findMatchingLabel(pullRequest.labels, section.labels)) {
+    return true;
+  }
+
+  const commit = parseConventionalCommit(pullRequest.title);
+  if (!commit) {
+    return false;
+  }
+
+  return (
+    section.types.includes(commit.type) ||
+    (commit.breaking && section.types.includes(BREAKING_TYPE)) ||
+    (Boolean(commit.scope) && section.scopes.includes(commit.scope.toLowerCase()))
+  );
+}
+
+// Each PR lands in the first section it matches; a catch-all section collects whatever is left.
+function categorizePullRequests(pullRequests, sections, excludeLabels = '') {
+  const grouped = sections.map(section => ({ title: section.title, pullRequests: [] }));
+  const catchAllIndex = sections.findIndex(section => section.catchAll);
+
+  for (const pullRequest of pullRequests) {
+    if (excludeLabels && findMatchingLabel(pullRequest.labels, excludeLabels)) {
+      continue;
+    }
+
+    const index = sections.findIndex(section => matchesSection(section, pullRequest));
+    const target = index === -1 ? catchAllIndex : index;
+    if (target !== -1) {
+      grouped[target].pullRequests.push(pullRequest);
+    }
+  }
+
+  return grouped.filter(section => section.pullRequests.length > 0);
+}
+
+function authorUrl(author) {
+  const app = author.match(/^(.+)\[bot\]$/);
+  return app ? `https://github.com/apps/${app[1]}` : `https://github.com/${author}`;
+}
+
+function formatPullRequestLink(pullRequest) {
+  const number = pullRequest.url ? `[#${pullRequest.number}](${pullRequest.url})` : `#${pullRequest.number}`;
+  const author = pullRequest.author ? ` by [@${pullRequest.author}](${authorUrl(pullRequest.author)})` : '';
+  return `- ${pullRequest.title} (${number})${author}`;
+}
+
+function formatCategorizedNotes(pullRequests, inputs) {
+  const sections = categorizePullRequests(
+    pullRequests,
+    parseReleaseNoteSections(inputs.releaseNotesSections),
+    inputs.releaseNotesExcludeLabels
+  );
+
+  return sections
+    .map(section => `### ${section.title}\n\n${section.pullRequests.map(formatPullRequestLink).join('\n')}`)
+    .join('\n\n');
+}
+
+module.exports = {
+  DEFAULT_RELEASE_NOTE_SECTIONS,
+  parseReleaseNoteSections,
+  categorizePullRequests,
+  formatPullRequestLink,
+  formatCategorizedNotes
+};
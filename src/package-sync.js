@@ -0,0 +1,178 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+
+const { escapeRegExp, stripVersionPrefix } = require('./utils');
+const { replaceJsonString } = require('./json-edit');
+
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json'];
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+function toPosixPath(filePath) {
+  return path.posix.normalize(filePath.replace(/\\/g, '/'));
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function applyJsonEdits(filePath, edits) {
+  const original = fs.readFileSync(filePath, 'utf8');
+  const updated = edits.reduce(
+    (content, { keyPath, value }) => replaceJsonString(content, keyPath, value) ?? content,
+    original
+  );
+
+  if (updated === original) {
+    return false;
+  }
+
+  fs.writeFileSync(filePath, updated);
+  return true;
+}
+
+function syncLockfiles(packageJsonPath, newVersion) {
+  const version = stripVersionPrefix(newVersion);
+  const packageDir = path.posix.dirname(toPosixPath(packageJsonPath));
+  const candidates = new Set([...LOCKFILES.map(lockfile => path.posix.join(packageDir, lockfile)), ...LOCKFILES]);
+  const updatedFiles = [];
+
+  for (const lockfilePath of candidates) {
+    if (!fs.existsSync(lockfilePath)) {
+      continue;
+    }
+
+    const packageKey = path.posix.relative(path.posix.dirname(lockfilePath), packageDir);
+    const edits = [{ keyPath: ['packages', packageKey, 'version'], value: version }];
+    if (packageKey === '') {
+      edits.push({ keyPath: ['version'], value: version });
+    }
+
+    if (applyJsonEdits(lockfilePath, edits)) {
+      core.info(`✅ Updated ${lockfilePath} entry for ${packageKey || 'the root package'} to ${version}`);
+      updatedFiles.push(lockfilePath);
+    }
+  }
+
+  return updatedFiles;
+}
+
+function bumpDependencyRange(range, version) {
+  const match = range.match(/^(workspace:)?(\^|~|>=|=)?v?\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, protocol = '', operator = ''] = match;
+  return `${protocol}${operator}${version}`;
+}
+
+function dependencyEdits(manifest, packageName, version, keyPrefix = []) {
+  const edits = [];
+
+  for (const field of DEPENDENCY_FIELDS) {
+    const range = manifest[field]?.[packageName];
+    const bumped = typeof range === 'string' ? bumpDependencyRange(range, version) : null;
+
+    if (bumped && bumped !== range) {
+      edits.push({ keyPath: [...keyPrefix, field, packageName], value: bumped });
+    }
+  }
+
+  return edits;
+}
+
+function readWorkspacePatterns(rootManifest) {
+  const workspaces = rootManifest.workspaces;
+  return (Array.isArray(workspaces) ? workspaces : workspaces?.packages) || [];
+}
+
+function expandWorkspacePattern(pattern) {
+  let directories = ['.'];
+
+  for (const segment of toPosixPath(pattern).split('/').filter(part => part && part !== '.')) {
+    if (!segment.includes('*')) {
+      directories = directories.map(directory => path.posix.join(directory, segment));
+      continue;
+    }
+
+    const segmentPattern = new RegExp(`^${segment.split('*').map(escapeRegExp).join('.*')}$`);
+    directories = directories.flatMap(directory => {
+      if (!fs.existsSync(directory)) {
+        return [];
+      }
+
+      return fs
+        .readdirSync(directory, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory() && dirent.name !== 'node_modules' && segmentPattern.test(dirent.name))
+        .map(dirent => path.posix.join(directory, dirent.name));
+    });
+  }
+
+  return directories;
+}
+
+function listWorkspaceManifests(rootManifest) {
+  const manifests = new Set(['package.json']);
+
+  for (const pattern of readWorkspacePatterns(rootManifest)) {
+    if (pattern.startsWith('!')) {
+      continue;
+    }
+
+    for (const directory of expandWorkspacePattern(pattern)) {
+      const manifestPath = path.posix.join(directory, 'package.json');
+      if (fs.existsSync(manifestPath)) {
+        manifests.add(manifestPath);
+      }
+    }
+  }
+
+  return [...manifests];
+}
+
+function updateWorkspaceDependencies(packageJsonPath, newVersion) {
+  if (!fs.existsSync('package.json') || !fs.existsSync(packageJsonPath)) {
+    return [];
+  }
+
+  const version = stripVersionPrefix(newVersion);
+  const packageName = readJson(packageJsonPath).name;
+  if (!packageName) {
+    core.warning(`No package name in ${packageJsonPath}, skipping workspace dependency update`);
+    return [];
+  }
+
+  const releasedManifest = toPosixPath(packageJsonPath);
+  const updatedFiles = [];
+
+  for (const manifestPath of listWorkspaceManifests(readJson('package.json'))) {
+    if (manifestPath === releasedManifest) {
+      continue;
+    }
+
+    if (applyJsonEdits(manifestPath, dependencyEdits(readJson(manifestPath), packageName, version))) {
+      core.info(`✅ Updated ${packageName} dependency in ${manifestPath} to ${version}`);
+      updatedFiles.push(manifestPath);
+    }
+  }
+
+  for (const lockfilePath of LOCKFILES.filter(lockfile => fs.existsSync(lockfile))) {
+    const entries = Object.entries(readJson(lockfilePath).packages || {});
+    const edits = entries.flatMap(([key, entry]) => dependencyEdits(entry, packageName, version, ['packages', key]));
+
+    if (applyJsonEdits(lockfilePath, edits)) {
+      core.info(`✅ Updated ${packageName} dependency ranges in ${lockfilePath}`);
+      updatedFiles.push(lockfilePath);
+    }
+  }
+
+  return updatedFiles;
+}
+
+module.exports = {
+  syncLockfiles,
+  bumpDependencyRange,
+  listWorkspaceManifests,
+  updateWorkspaceDependencies
+};
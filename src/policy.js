@@ -0,0 +1,166 @@
+const core = require('@actions/core');
+
+const { escapeRegExp, findMatchingLabel } = require('./utils');
+const { RELEASE_TYPE_PRIORITY } = require('./commits');
+const { resolveTargetBranch } = require('./maintenance');
+
+function parseMaxReleaseTypes(rulesInput) {
+  const rules = [];
+
+  for (const entry of (rulesInput || '').split(/[,\n]/)) {
+    const trimmed = entry.trim();
+    if (!trimmed) {
+      continue;
+    }
+
+    const separatorIndex = trimmed.lastIndexOf(':');
+    const branch = trimmed.slice(0, separatorIndex).trim();
+    const releaseType = trimmed.slice(separatorIndex + 1).trim();
+
+    if (separatorIndex === -1 || !branch || !['major', 'minor', 'patch', 'none'].includes(releaseType)) {
+      throw new Error(`Invalid max-release-types entry: ${trimmed}`);
+    }
+
+    rules.push({ branch, releaseType });
+  }
+
+  return rules;
+}
+
+function matchesBranchPattern(branch, pattern) {
+  const regex = escapeRegExp(pattern)
+    .replace(/\\\*\\\*/g, '.*')
+    .replace(/\\\*/g, '[^/]*');
+  return new RegExp(`^${regex}$`).test(branch);
+}
+
+function findMaxReleaseType(branch, rules) {
+  const rule = rules.find(candidate => matchesBranchPattern(branch, candidate.branch));
+  return rule ? rule.releaseType : null;
+}
+
+function effectiveBumpOf(releaseType) {
+  return releaseType === 'graduate' ? 'major' : releaseType;
+}
+
+function findConflictingLabels(labels, inputs) {
+  return [inputs.majorLabel, inputs.minorLabel, inputs.patchLabel]
+    .map(patterns => findMatchingLabel(labels, patterns))
+    .filter(Boolean);
+}
+
+async function hasTeamApproval(octokit, context, team, pullNumber = context.payload.pull_request?.number) {
+  if (!pullNumber) {
+    return false;
+  }
+
+  const [org, teamSlug] = team.includes('/') ? team.split('/') : [context.repo.owner, team];
+  const reviews = await octokit.paginate(octokit.rest.pulls.listReviews, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: pullNumber,
+    per_page: 100
+  });
+
+  const latestStates = new Map();
+  for (const review of reviews) {
+    if (review.user?.login && review.state !== 'COMMENTED') {
+      latestStates.set(review.user.login, review.state);
+    }
+  }
+
+  const approvers = [...latestStates].filter(([, state]) => state === 'APPROVED').map(([login]) => login);
+
+  for (const username of approvers) {
+    try {
+      const membership = await octokit.rest.teams.getMembershipForUserInOrg({
+        org,
+        team_slug: teamSlug,
+        username
+      });
+
+      if (membership.data.state === 'active') {
+        core.info(`Major release approved by ${username} (${org}/${teamSlug})`);
+        return true;
+      }
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  return false;
+}
+
+// Aggregated releases check the merged PR that carried the major label instead of the triggering event.
+async function assertMajorApproval(octokit, context, inputs, pullRequest = null) {
+  const { majorApprovalLabel, majorApprovalTeam } = inputs;
+  if (!majorApprovalLabel && !majorApprovalTeam) {
+    return;
+  }
+
+  const labels = pullRequest
+    ? pullRequest.labels
+    : context.payload.pull_request?.labels?.map(label => label.name) || [];
+  const approvalLabel = majorApprovalLabel && findMatchingLabel(labels, majorApprovalLabel);
+  if (approvalLabel) {
+    core.info(`Major release approved by label ${approvalLabel}`);
+    return;
+  }
+
+  const pullNumber = pullRequest ? pullRequest.number : context.payload.pull_request?.number;
+  if (majorApprovalTeam && await hasTeamApproval(octokit, context, majorApprovalTeam, pullNumber)) {
+    return;
+  }
+
+  const requirements = [
+    majorApprovalLabel ? `the "${majorApprovalLabel.split('\n').join(', ')}" label` : null,
+    majorApprovalTeam ? `an approving review from a member of ${majorApprovalTeam}` : null
+  ].filter(Boolean);
+  const source = pullRequest ? ` on #${pullRequest.number}` : '';
+
+  throw new Error(`Major releases require ${requirements.join(' or ')}${source}`);
+}
+
+function assertNoConflictingLabels(context, inputs) {
+  const labels = context.payload.pull_request?.labels?.map(label => label.name) || [];
+  const conflicting = findConflictingLabels(labels, inputs);
+
+  if (conflicting.length > 1) {
+    throw new Error(`Conflicting release labels: ${conflicting.join(', ')}. Use exactly one release label`);
+  }
+}
+
+async function enforceReleasePolicy(octokit, context, inputs, triggerMode, releaseType, pullRequest = null) {
+  const isPullRequest = triggerMode === 'pr-open' || triggerMode === 'pr-merge';
+  const bump = effectiveBumpOf(releaseType);
+
+  const usesBumpLabels = inputs.versionSource !== 'commits' && ['major', 'minor', 'patch'].includes(releaseType);
+  if (isPullRequest && usesBumpLabels && inputs.failOnConflictingLabels) {
+    assertNoConflictingLabels(context, inputs);
+  }
+
+  const branch = resolveTargetBranch(context);
+  const maxReleaseType = findMaxReleaseType(branch, parseMaxReleaseTypes(inputs.maxReleaseTypes));
+  if (
+    maxReleaseType &&
+    RELEASE_TYPE_PRIORITY.includes(bump) &&
+    RELEASE_TYPE_PRIORITY.indexOf(bump) > RELEASE_TYPE_PRIORITY.indexOf(maxReleaseType)
+  ) {
+    throw new Error(`Release type ${releaseType} is not allowed on branch ${branch} (maximum: ${maxReleaseType})`);
+  }
+
+  if ((isPullRequest || pullRequest) && bump === 'major') {
+    await assertMajorApproval(octokit, context, inputs, pullRequest);
+  }
+}
+
+module.exports = {
+  parseMaxReleaseTypes,
+  matchesBranchPattern,
+  findMaxReleaseType,
+  findConflictingLabels,
+  hasTeamApproval,
+  enforceReleasePolicy
+};
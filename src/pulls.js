@@ -0,0 +1,87 @@
+const core = require('@actions/core');
+
+const { getCommitsSince } = require('./commits');
+const { resolveLabelReleaseType } = require('./utils');
+
+// Promotions only win when nothing else asks for a bump; graduate outranks everything.
+const AGGREGATE_PRIORITY = ['none', 'promote', 'patch', 'minor', 'major', 'graduate'];
+
+// Each commit costs one API request, and GITHUB_TOKEN only allows 1000 per hour.
+const MAX_COMMIT_LOOKUPS = 250;
+
+function summarizePullRequest(pullRequest) {
+  return {
+    number: pullRequest.number,
+    title: pullRequest.title,
+    url: pullRequest.html_url,
+    author: pullRequest.user?.login || null,
+    labels: (pullRequest.labels || []).map(label => label.name)
+  };
+}
+
+async function listMergedPullRequestsSince(octokit, context, latestTag, packagePath = null) {
+  const commits = getCommitsSince(latestTag, packagePath);
+  const pullRequests = new Map();
+
+  if (commits.length > MAX_COMMIT_LOOKUPS) {
+    core.warning(
+      `Found ${commits.length} commits since ${latestTag || 'the first commit'}; ` +
+      `only looking up pull requests for the ${MAX_COMMIT_LOOKUPS} most recent to stay within the API rate limit`
+    );
+  }
+
+  for (const commit of commits.slice(0, MAX_COMMIT_LOOKUPS)) {
+    const response = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      commit_sha: commit.hash
+    });
+
+    for (const pullRequest of response.data) {
+      if (!pullRequest.merged_at || pullRequests.has(pullRequest.number)) {
+        continue;
+      }
+
+      pullRequests.set(pullRequest.number, summarizePullRequest(pullRequest));
+    }
+  }
+
+  return [...pullRequests.values()].sort((a, b) => a.number - b.number);
+}
+
+function determineReleaseTypeFromPullRequests(pullRequests, inputs) {
+  let result = { releaseType: 'none', isPrerelease: false, matchedLabel: null, skipReason: null, pullRequest: null };
+  const releasing = [];
+
+  for (const pullRequest of pullRequests) {
+    const labels = resolveLabelReleaseType(pullRequest.labels, inputs, pullRequest.title);
+    if (labels.skipReason) {
+      core.info(`#${pullRequest.number} ${pullRequest.title}: skipped (${labels.skipReason})`);
+      continue;
+    }
+
+    if (labels.releaseType === 'none') {
+      continue;
+    }
+
+    core.info(`#${pullRequest.number} ${pullRequest.title}: ${labels.releaseType}`);
+    releasing.push(labels);
+
+    if (AGGREGATE_PRIORITY.indexOf(labels.releaseType) > AGGREGATE_PRIORITY.indexOf(result.releaseType)) {
+      result = { ...labels, pullRequest };
+    }
+  }
+
+  // A batch is only a prerelease when every PR that asked for a release asked for a prerelease.
+  const isPrerelease =
+    result.releaseType !== 'promote' && releasing.length > 0 && releasing.every(labels => labels.isPrerelease);
+
+  return { ...result, isPrerelease };
+}
+
+module.exports = {
+  MAX_COMMIT_LOOKUPS,
+  summarizePullRequest,
+  listMergedPullRequestsSince,
+  determineReleaseTypeFromPullRequests
+};
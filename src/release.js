@@ -2,7 +2,7 @@ const core = require('@actions/core');
 const { execSync } = require('child_process');
 
 async function createRelease(octokit, context, options) {
-  const { tagName, name, body, prerelease = false } = options;
+  const { tagName, name, body, prerelease = false, makeLatest } = options;
   
   try {
     core.info(`Creating release: ${name}`);
@@ -14,7 +14,8 @@ async function createRelease(octokit, context, options) {
       name: name,
       body: body,
       draft: false,
-      prerelease: prerelease
+      prerelease: prerelease,
+      make_latest: makeLatest
     });
     
     return release.data;
@@ -174,6 +175,46 @@ async function getReleaseByTag(octokit, context, tag) {
   }
 }
 
+async function listRepositoryTags(octokit, context) {
+  const tags = await octokit.paginate(octokit.rest.repos.listTags, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    per_page: 100
+  });
+
+  return tags.map(tag => tag.name);
+}
+
+async function listReleaseTags(octokit, context) {
+  const releases = await octokit.paginate(octokit.rest.repos.listReleases, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    per_page: 100
+  });
+
+  return releases.filter(release => !release.draft).map(release => release.tag_name);
+}
+
+async function aggregatePrereleaseNotes(octokit, context, prereleaseTags) {
+  const sections = [];
+
+  for (const tag of prereleaseTags) {
+    try {
+      const release = await getReleaseByTag(octokit, context, tag);
+      if (!release) {
+        core.info(`No release found for prerelease tag ${tag}, skipping its notes`);
+        continue;
+      }
+
+      sections.push(`### ${release.name || tag}\n\n${release.body || ''}`.trim());
+    } catch (error) {
+      core.warning(`Failed to load release notes for ${tag}: ${error.message}`);
+    }
+  }
+
+  return sections.join('\n\n');
+}
+
 async function updateRelease(octokit, context, releaseId, options) {
   const { name, body, prerelease } = options;
   
@@ -202,5 +243,8 @@ module.exports = {
   createMajorReleaseNotes,
   copyReleaseAssets,
   getReleaseByTag,
+  listRepositoryTags,
+  listReleaseTags,
+  aggregatePrereleaseNotes,
   updateRelease
 };
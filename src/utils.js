@@ -19,6 +19,10 @@ function detectTriggerMode(inputMode, context) {
     return 'workflow-call';
   } else if (eventName === 'push' && context.ref === 'refs/heads/main') {
     return 'push-main';
+  } else if (eventName === 'push' && context.ref?.startsWith('refs/heads/')) {
+    return 'push-branch';
+  } else if (eventName === 'schedule') {
+    return 'schedule';
   }
 
   return 'unknown';
@@ -45,46 +49,131 @@ function detectExecutionMode(inputMode, triggerMode, context = github.context) {
   return 'release';
 }
 
-function parseLabels(context, inputs, triggerMode) {
+function parseLabelPatterns(patternsInput) {
+  const entries = (patternsInput || '')
+    .split('\n')
+    .flatMap(line => (/^\s*\/.*\/[a-z]*\s*$/.test(line) ? [line] : line.split(',')))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  return entries.map(entry => {
+    const regexMatch = entry.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+      const [, source, flags] = regexMatch;
+      try {
+        return new RegExp(source, flags.includes('i') ? flags : `${flags}i`);
+      } catch (error) {
+        throw new Error(`Invalid label pattern ${entry}: ${error.message}`);
+      }
+    }
+
+    const glob = entry.split('*').map(part => part.split('?').map(escapeRegExp).join('.')).join('.*');
+    return new RegExp(`^${glob}$`, 'i');
+  });
+}
+
+function findMatchingLabel(labels, patternsInput) {
+  const patterns = parseLabelPatterns(patternsInput);
+  for (const pattern of patterns) {
+    const label = labels.find(candidate => pattern.test(candidate));
+    if (label) {
+      return label;
+    }
+  }
+
+  return null;
+}
+
+const SKIP_RELEASE_MARKER = '[skip release]';
+
+function findSkipReleaseReason(labels, text, inputs) {
+  const skipLabel = findMatchingLabel(labels, inputs.skipReleaseLabel);
+  if (skipLabel) {
+    return `Label "${skipLabel}" requests no release`;
+  }
+
+  if (text && text.toLowerCase().includes(SKIP_RELEASE_MARKER)) {
+    return `Found ${SKIP_RELEASE_MARKER} marker`;
+  }
+
+  return null;
+}
+
+function resolveLabelReleaseType(labels, inputs, title = '') {
   let releaseType = 'none';
-  let isPrerelease = false;
+  let matchedLabel = null;
+
+  const candidates = [
+    ['graduate', inputs.graduateLabel],
+    ['promote', inputs.promoteLabel],
+    ['major', inputs.majorLabel],
+    ['minor', inputs.minorLabel],
+    ['patch', inputs.patchLabel]
+  ];
+
+  for (const [type, patterns] of candidates) {
+    matchedLabel = findMatchingLabel(labels, patterns);
+    if (matchedLabel) {
+      releaseType = type;
+      core.info(`Matched release label: ${matchedLabel} (${type})`);
+      break;
+    }
+  }
 
+  const isPrerelease = releaseType !== 'promote' && Boolean(findMatchingLabel(labels, inputs.prereleaseLabel));
+  return { releaseType, isPrerelease, matchedLabel, skipReason: findSkipReleaseReason(labels, title, inputs) };
+}
+
+function parseLabels(context, inputs, triggerMode) {
   if (triggerMode === 'pr-open' || triggerMode === 'pr-merge') {
     const labels = context.payload.pull_request?.labels?.map(label => label.name) || [];
     core.info(`PR labels: ${labels.join(', ')}`);
 
-    isPrerelease = labels.includes(inputs.prereleaseLabel);
+    return resolveLabelReleaseType(labels, inputs, context.payload.pull_request?.title);
+  }
 
-    if (labels.includes(inputs.majorLabel)) {
-      releaseType = 'major';
-    } else if (labels.includes(inputs.minorLabel)) {
-      releaseType = 'minor';
-    } else if (labels.includes(inputs.patchLabel)) {
-      releaseType = 'patch';
-    }
-  } else if (triggerMode === 'manual') {
-    releaseType = core.getInput('manual-release-type') || 'patch';
-    isPrerelease = core.getBooleanInput('manual-is-prerelease') || false;
+  let releaseType = 'none';
+  let isPrerelease = false;
+  let skipReason = null;
+
+  if (triggerMode === 'manual') {
+    releaseType = inputs.manualReleaseType || inputs.releaseType || 'patch';
+    isPrerelease = Boolean(inputs.manualIsPrerelease || inputs.isPrerelease);
   } else if (triggerMode === 'workflow-call') {
-    releaseType = core.getInput('release-type') || 'patch';
-    isPrerelease = core.getBooleanInput('is-prerelease') || false;
+    releaseType = inputs.releaseType || 'patch';
+    isPrerelease = Boolean(inputs.isPrerelease);
+  } else if (triggerMode === 'push-main' || triggerMode === 'push-branch') {
+    skipReason = findSkipReleaseReason([], context.payload?.head_commit?.message, inputs);
   }
 
-  return { releaseType, isPrerelease };
+  if (releaseType === 'promote') {
+    isPrerelease = false;
+  }
+
+  return { releaseType, isPrerelease, matchedLabel: null, skipReason };
+}
+
+// Files such as package.json store versions without the v prefix that tags and outputs use.
+function stripVersionPrefix(version) {
+  return version.startsWith('v') ? version.slice(1) : version;
 }
 
 function parseVersion(version) {
-  const cleanVersion = version.startsWith('v') ? version.slice(1) : version;
+  const cleanVersion = stripVersionPrefix(version);
+
+  const buildIndex = cleanVersion.indexOf('+');
+  const withoutBuild = buildIndex === -1 ? cleanVersion : cleanVersion.substring(0, buildIndex);
+  const build = buildIndex === -1 ? null : cleanVersion.substring(buildIndex + 1);
 
-  const prereleaseIndex = cleanVersion.indexOf('-');
+  const prereleaseIndex = withoutBuild.indexOf('-');
   let versionPart;
   let prereleasePart = null;
 
   if (prereleaseIndex !== -1) {
-    versionPart = cleanVersion.substring(0, prereleaseIndex);
-    prereleasePart = cleanVersion.substring(prereleaseIndex + 1);
+    versionPart = withoutBuild.substring(0, prereleaseIndex);
+    prereleasePart = withoutBuild.substring(prereleaseIndex + 1);
   } else {
-    versionPart = cleanVersion;
+    versionPart = withoutBuild;
   }
 
   const parts = versionPart.split('.');
@@ -93,18 +182,91 @@ function parseVersion(version) {
     major: parseInt(parts[0]) || 0,
     minor: parseInt(parts[1]) || 0,
     patch: parseInt(parts[2]) || 0,
-    prerelease: prereleasePart
+    prerelease: prereleasePart,
+    build
   };
 }
 
-function formatVersion(major, minor, patch, prerelease = null) {
+function formatVersion(major, minor, patch, prerelease = null, build = null) {
   let version = `v${major}.${minor}.${patch}`;
   if (prerelease) {
     version += `-${prerelease}`;
   }
+  if (build) {
+    version += `+${build}`;
+  }
   return version;
 }
 
+const DEFAULT_TAG_FORMAT = '{prefix}{major}.{minor}.{patch}';
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function resolveTagOptions(options = {}) {
+  return {
+    tagFormat: options.tagFormat || DEFAULT_TAG_FORMAT,
+    tagPrefix: options.tagPrefix ?? 'v'
+  };
+}
+
+function formatTag(version, options) {
+  const { tagFormat, tagPrefix } = resolveTagOptions(options);
+  const match = version.match(/^v?(\d+)\.(\d+)\.(\d+)(.*)$/);
+  if (!match) {
+    throw new Error(`Cannot format tag for invalid version: ${version}`);
+  }
+
+  const [, major, minor, patch, suffix] = match;
+  return tagFormat
+    .replace('{prefix}', tagPrefix)
+    .replace('{major}', major)
+    .replace('{minor}', minor)
+    .replace('{patch}', patch) + suffix;
+}
+
+function parseTag(tag, options) {
+  const { tagFormat, tagPrefix } = resolveTagOptions(options);
+  const pattern = escapeRegExp(tagFormat)
+    .replace(escapeRegExp('{prefix}'), escapeRegExp(tagPrefix))
+    .replace(escapeRegExp('{major}'), '(?<major>\\d+)')
+    .replace(escapeRegExp('{minor}'), '(?<minor>\\d+)')
+    .replace(escapeRegExp('{patch}'), '(?<patch>\\d+)');
+  const match = tag.match(new RegExp(`^${pattern}(?<suffix>(?:-[0-9A-Za-z.-]+)?(?:\\+[0-9A-Za-z.-]+)?)$`));
+
+  if (!match) {
+    return null;
+  }
+
+  const { major, minor, patch, suffix } = match.groups;
+  return `v${major}.${minor}.${patch}${suffix}`;
+}
+
+function formatTagPattern(options) {
+  const { tagFormat, tagPrefix } = resolveTagOptions(options);
+  return tagFormat
+    .replace('{prefix}', tagPrefix)
+    .replace('{major}', '*')
+    .replace('{minor}', '*')
+    .replace('{patch}', '*');
+}
+
+function formatBaseTag(major, options, minor = null) {
+  const { tagFormat, tagPrefix } = resolveTagOptions(options);
+  const lastPart = minor === null ? '{major}' : '{minor}';
+  const baseFormat = tagFormat.slice(0, tagFormat.indexOf(lastPart) + lastPart.length);
+  return baseFormat.replace('{prefix}', tagPrefix).replace('{major}', major).replace('{minor}', minor);
+}
+
+function formatVersionOutput(version, options) {
+  if (options.versionOutputPrefix === false) {
+    return stripVersionPrefix(version);
+  }
+
+  return formatTag(version, options);
+}
+
 function validateInputs(inputs) {
   const errors = [];
 
@@ -116,14 +278,83 @@ function validateInputs(inputs) {
     errors.push('package-manager must be one of: npm, yarn, pnpm');
   }
 
-  if (!['auto-detect', 'validate', 'prepare', 'release', 'release-only'].includes(inputs.executionMode)) {
-    errors.push('execution-mode must be one of: auto-detect, validate, prepare, release, release-only');
+  const executionModes = ['auto-detect', 'validate', 'prepare', 'release', 'release-only', 'validate-config'];
+  if (!executionModes.includes(inputs.executionMode)) {
+    errors.push(`execution-mode must be one of: ${executionModes.join(', ')}`);
   }
 
   if (inputs.packageJsonMode && !['update', 'verify', 'ignore'].includes(inputs.packageJsonMode)) {
     errors.push('package-json-mode must be one of: update, verify, ignore');
   }
 
+  if (inputs.versionSource && !['labels', 'commits'].includes(inputs.versionSource)) {
+    errors.push('version-source must be one of: labels, commits');
+  }
+
+  if (inputs.versioningScheme && !['semver', 'calver'].includes(inputs.versioningScheme)) {
+    errors.push('versioning-scheme must be one of: semver, calver');
+  }
+
+  if (inputs.zeroMajorBaseTag && !['major', 'minor'].includes(inputs.zeroMajorBaseTag)) {
+    errors.push('zero-major-base-tag must be one of: major, minor');
+  }
+
+  const releaseTypes = ['major', 'minor', 'patch', 'promote', 'graduate'];
+  if (inputs.releaseType && !releaseTypes.includes(inputs.releaseType)) {
+    errors.push(`release-type must be one of: ${releaseTypes.join(', ')}`);
+  }
+
+  if (inputs.manualReleaseType && !releaseTypes.includes(inputs.manualReleaseType)) {
+    errors.push(`manual-release-type must be one of: ${releaseTypes.join(', ')}`);
+  }
+
+  if (inputs.statusCheck && !['none', 'check-run', 'commit-status'].includes(inputs.statusCheck)) {
+    errors.push('status-check must be one of: none, check-run, commit-status');
+  }
+
+  if (inputs.versionLookup && !['git', 'api'].includes(inputs.versionLookup)) {
+    errors.push('version-lookup must be one of: git, api');
+  }
+
+  if (inputs.tagFormat && !['{major}', '{minor}', '{patch}'].every(part => inputs.tagFormat.includes(part))) {
+    errors.push('tag-format must contain {major}, {minor} and {patch}');
+  }
+
+  if (inputs.executionMode === 'release-only' && inputs.packageJsonMode === 'update') {
+    errors.push('package-json-mode: update cannot be combined with execution-mode: release-only, use verify or ignore');
+  }
+
+  if (inputs.versionSource === 'commits' && inputs.aggregatePullRequests) {
+    errors.push('aggregate-pull-requests requires version-source: labels');
+  }
+
+  if (inputs.versionSource === 'commits' && inputs.requireReleaseLabel) {
+    errors.push('require-release-label requires version-source: labels');
+  }
+
+  if (inputs.versioningScheme === 'calver' && inputs.zeroMajorMode) {
+    errors.push('zero-major-mode cannot be combined with versioning-scheme: calver');
+  }
+
+  const labelInputs = {
+    'major-label': inputs.majorLabel,
+    'minor-label': inputs.minorLabel,
+    'patch-label': inputs.patchLabel,
+    'prerelease-label': inputs.prereleaseLabel,
+    'promote-label': inputs.promoteLabel,
+    'graduate-label': inputs.graduateLabel,
+    'skip-release-label': inputs.skipReleaseLabel,
+    'major-approval-label': inputs.majorApprovalLabel,
+    'release-notes-exclude-labels': inputs.releaseNotesExcludeLabels
+  };
+  for (const [name, patterns] of Object.entries(labelInputs)) {
+    try {
+      parseLabelPatterns(patterns);
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
   if (errors.length > 0) {
     throw new Error(`Invalid inputs: ${errors.join(', ')}`);
   }
@@ -136,9 +367,22 @@ function sleep(ms) {
 module.exports = {
   detectTriggerMode,
   detectExecutionMode,
+  parseLabelPatterns,
+  findMatchingLabel,
+  SKIP_RELEASE_MARKER,
+  findSkipReleaseReason,
+  resolveLabelReleaseType,
   parseLabels,
+  stripVersionPrefix,
   parseVersion,
   formatVersion,
+  DEFAULT_TAG_FORMAT,
+  escapeRegExp,
+  formatTag,
+  formatTagPattern,
+  parseTag,
+  formatBaseTag,
+  formatVersionOutput,
   validateInputs,
   sleep
 };
@@ -0,0 +1,258 @@
+const core = require('@actions/core');
+const fs = require('fs');
+
+const { stripVersionPrefix } = require('./utils');
+const { locateJsonString, replaceJsonString } = require('./json-edit');
+
+const VERSION_FILE_MODES = ['update', 'verify', 'ignore'];
+
+function splitKey(key) {
+  return key.split('.').map(part => part.trim().replace(/^["']|["']$/g, ''));
+}
+
+function lineRanges(content) {
+  const lines = [];
+  let offset = 0;
+
+  for (const text of content.split('\n')) {
+    lines.push({ text, offset });
+    offset += text.length + 1;
+  }
+
+  return lines;
+}
+
+function spliceRange(content, range, value) {
+  return content.slice(0, range.start) + value + content.slice(range.end);
+}
+
+function locateTomlValue(content, entry) {
+  const parts = splitKey(entry.key);
+  const name = parts.pop();
+  const table = parts.join('.');
+  let currentTable = '';
+
+  for (const line of lineRanges(content)) {
+    const header = line.text.match(/^\s*\[([^[\]]+)\]\s*(?:#.*)?$/);
+    if (header) {
+      currentTable = splitKey(header[1]).join('.');
+      continue;
+    }
+
+    if (/^\s*\[\[/.test(line.text)) {
+      currentTable = null;
+      continue;
+    }
+
+    if (currentTable !== table) {
+      continue;
+    }
+
+    const match = line.text.match(/^(\s*["']?([\w-]+)["']?\s*=\s*)(["'])([^"']*)\3/);
+    if (match && match[2] === name) {
+      const start = line.offset + match[1].length + 1;
+      return { start, end: start + match[4].length };
+    }
+  }
+
+  return null;
+}
+
+function locateYamlValue(content, entry) {
+  const target = splitKey(entry.key).join('.');
+  const stack = [];
+
+  for (const line of lineRanges(content)) {
+    const match = line.text.match(/^(\s*)(["']?)([\w.-]+)\2\s*:(\s*)(.*)$/);
+    if (!match || /^\s*#/.test(line.text)) {
+      continue;
+    }
+
+    const [, indentation, quote, key, spacing, rest] = match;
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indentation.length) {
+      stack.pop();
+    }
+
+    const path = [...stack.map(item => item.key), key].join('.');
+    if (path === target) {
+      const value = rest.replace(/\s+#.*$/, '').trimEnd();
+      const quoted = value.match(/^(["'])(.*)\1$/);
+      const start = line.offset + indentation.length + quote.length * 2 + key.length + 1 + spacing.length;
+
+      return quoted
+        ? { start: start + 1, end: start + 1 + quoted[2].length }
+        : { start, end: start + value.length };
+    }
+
+    stack.push({ indent: indentation.length, key });
+  }
+
+  return null;
+}
+
+function locateXmlValue(content, entry) {
+  const target = entry.xpath.split('/').filter(Boolean);
+  const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][^>]*>|<(\/?)([A-Za-z_][\w:.-]*)[^>]*?(\/?)>/g;
+  const stack = [];
+  let start = null;
+  let match;
+
+  while ((match = tagPattern.exec(content)) !== null) {
+    const [tag, closing, name, selfClosing] = match;
+    if (!name) {
+      continue;
+    }
+
+    if (closing) {
+      if (start !== null && stack.length === target.length) {
+        const raw = content.slice(start, match.index);
+        const leading = raw.length - raw.trimStart().length;
+        return { start: start + leading, end: start + leading + raw.trim().length };
+      }
+
+      stack.pop();
+      continue;
+    }
+
+    if (selfClosing) {
+      continue;
+    }
+
+    stack.push(name);
+    if (stack.length === target.length && stack.every((part, index) => part === target[index])) {
+      start = match.index + tag.length;
+    }
+  }
+
+  return null;
+}
+
+function locateRegexValue(content, entry) {
+  const match = new RegExp(entry.pattern, 'md').exec(content);
+  if (!match || match.indices[1] === undefined) {
+    return null;
+  }
+
+  const [start, end] = match.indices[1];
+  return { start, end };
+}
+
+function textFormat(locate) {
+  return {
+    read(content, entry) {
+      const range = locate(content, entry);
+      return range ? content.slice(range.start, range.end) : null;
+    },
+    write(content, entry, version) {
+      const range = locate(content, entry);
+      return range ? spliceRange(content, range, version) : null;
+    }
+  };
+}
+
+const VERSION_FILE_FORMATS = {
+  json: {
+    read(content, entry) {
+      const range = locateJsonString(content, splitKey(entry.key));
+      return range ? JSON.parse(`"${content.slice(range.start, range.end)}"`) : null;
+    },
+    write(content, entry, version) {
+      return replaceJsonString(content, splitKey(entry.key), version);
+    }
+  },
+  toml: textFormat(locateTomlValue),
+  yaml: textFormat(locateYamlValue),
+  xml: textFormat(locateXmlValue),
+  regex: textFormat(locateRegexValue)
+};
+
+const REQUIRED_FIELDS = { json: 'key', toml: 'key', yaml: 'key', xml: 'xpath', regex: 'pattern' };
+
+function parseVersionFiles(versionFilesInput) {
+  if (!versionFilesInput || !versionFilesInput.trim()) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(versionFilesInput);
+  } catch (error) {
+    throw new Error(`Invalid version-files: ${error.message}`);
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new Error('Invalid version-files: expected a JSON array');
+  }
+
+  return entries.map((entry, index) => {
+    const label = `version-files[${index}]`;
+    const format = entry?.format;
+
+    if (!entry?.path) {
+      throw new Error(`Invalid ${label}: path is required`);
+    }
+
+    if (!VERSION_FILE_FORMATS[format]) {
+      throw new Error(`Invalid ${label}: format must be one of: ${Object.keys(VERSION_FILE_FORMATS).join(', ')}`);
+    }
+
+    const field = REQUIRED_FIELDS[format];
+    if (!entry[field]) {
+      throw new Error(`Invalid ${label}: ${field} is required for ${format} files`);
+    }
+
+    if (entry.mode && !VERSION_FILE_MODES.includes(entry.mode)) {
+      throw new Error(`Invalid ${label}: mode must be one of: ${VERSION_FILE_MODES.join(', ')}`);
+    }
+
+    if (format === 'regex' && new RegExp(`${entry.pattern}|`).exec('').length < 2) {
+      throw new Error(`Invalid ${label}: pattern must contain a capture group for the version`);
+    }
+
+    return entry;
+  });
+}
+
+function describeVersionField(entry) {
+  return entry.key || entry.xpath || entry.pattern;
+}
+
+function readVersionFile(entry) {
+  if (!fs.existsSync(entry.path)) {
+    throw new Error(`Version file not found: ${entry.path}`);
+  }
+
+  return fs.readFileSync(entry.path, 'utf8');
+}
+
+function updateVersionFile(entry, newVersion) {
+  const version = stripVersionPrefix(newVersion);
+  const updated = VERSION_FILE_FORMATS[entry.format].write(readVersionFile(entry), entry, version);
+
+  if (updated === null) {
+    throw new Error(`Could not find ${describeVersionField(entry)} in ${entry.path}`);
+  }
+
+  fs.writeFileSync(entry.path, updated);
+  core.info(`✅ Updated ${entry.path} version to ${version}`);
+  return true;
+}
+
+function verifyVersionFile(entry, expectedVersion) {
+  const expected = stripVersionPrefix(expectedVersion);
+  const actual = VERSION_FILE_FORMATS[entry.format].read(readVersionFile(entry), entry);
+
+  if (actual !== expected) {
+    throw new Error(`Expected ${entry.path} version to be ${expected}, but found ${actual || '(empty)'}`);
+  }
+
+  core.info(`✅ Verified ${entry.path} version matches ${expected}`);
+  return true;
+}
+
+module.exports = {
+  VERSION_FILE_FORMATS,
+  parseVersionFiles,
+  updateVersionFile,
+  verifyVersionFile
+};
@@ -1,34 +1,207 @@
 const core = require('@actions/core');
 const fs = require('fs');
-const { parseVersion, formatVersion } = require('./utils');
+const { parseVersion, formatVersion, stripVersionPrefix } = require('./utils');
+const { formatCalVerPeriod } = require('./calver');
+const { locateJsonString, replaceJsonString, lineNumberAt } = require('./json-edit');
+
+function calculateVersion(latestVersion, releaseType, isPrerelease, inputs, existingTags = [], now = new Date()) {
+  if (releaseType === 'promote') {
+    return promotePrerelease(latestVersion, existingTags);
+  }
+
+  if (inputs.versioningScheme === 'calver') {
+    return calculateCalendarVersion(releaseType, isPrerelease, inputs, existingTags, now);
+  }
+
+  if (releaseType === 'graduate') {
+    return graduateToStableMajor(latestVersion, isPrerelease, inputs, existingTags);
+  }
 
-function calculateVersion(latestVersion, releaseType, isPrerelease, inputs) {
   const current = parseVersion(latestVersion);
   let { major, minor, patch } = current;
+  const bumpType = resolveZeroMajorBump(current, releaseType, inputs);
+
+  const continuesLine = isPrerelease && continuesPrereleaseLine(current, bumpType, existingTags);
+  if (continuesLine) {
+    core.info(`Continuing prerelease line for ${formatVersion(major, minor, patch)}`);
+  } else {
+    switch (bumpType) {
+      case 'major':
+        major += 1;
+        minor = 0;
+        patch = 0;
+        break;
+      case 'minor':
+        minor += 1;
+        patch = 0;
+        break;
+      case 'patch':
+        patch += 1;
+        break;
+      default:
+        throw new Error(`Invalid release type: ${releaseType}`);
+    }
+  }
+
+  const baseVersion = formatVersion(major, minor, patch);
+  if (!isPrerelease) {
+    return baseVersion;
+  }
+
+  const newVersion = nextPrereleaseVersion(baseVersion, existingTags, inputs);
+  // Switching back to an earlier suffix (rc to beta) would tag a version below the latest one.
+  if (continuesLine && compareVersions(newVersion, latestVersion) <= 0) {
+    throw new Error(
+      `Cannot continue the ${baseVersion} prerelease line: ${newVersion} would not be higher than ${latestVersion}. ` +
+      `Use a prerelease-suffix that sorts after ${current.prerelease}`
+    );
+  }
+
+  return newVersion;
+}
+
+// While major is 0 in zero-major mode, breaking changes bump the minor and features bump the patch,
+// so leaving 0.x always requires an explicit graduate release.
+function resolveZeroMajorBump(current, releaseType, inputs) {
+  if (!inputs.zeroMajorMode || current.major !== 0) {
+    return releaseType;
+  }
+
+  const zeroMajorBumps = { major: 'minor', minor: 'patch', patch: 'patch' };
+  const bumpType = zeroMajorBumps[releaseType] || releaseType;
+  if (bumpType !== releaseType) {
+    core.info(`Zero-major mode: treating ${releaseType} as ${bumpType} while the major version is 0`);
+  }
+
+  return bumpType;
+}
+
+function graduateToStableMajor(latestVersion, isPrerelease, inputs, existingTags) {
+  const current = parseVersion(latestVersion);
+  const isOneZeroPrerelease = current.major === 1 && current.minor === 0 && current.patch === 0 && current.prerelease;
+
+  if (current.major !== 0 && !isOneZeroPrerelease) {
+    throw new Error(`Cannot graduate ${latestVersion} to 1.0.0: the major version is already ${current.major}`);
+  }
+
+  core.info(`Graduating ${latestVersion} to v1.0.0`);
+  if (!isPrerelease) {
+    return 'v1.0.0';
+  }
+
+  return nextPrereleaseVersion('v1.0.0', existingTags, inputs);
+}
+
+// CalVer ignores the size of the bump: the micro counter restarts whenever the date segments change
+// and otherwise continues from the highest stable release of the current period.
+function calculateCalendarVersion(releaseType, isPrerelease, inputs, existingTags, now) {
+  if (!['major', 'minor', 'patch'].includes(releaseType)) {
+    throw new Error(`Invalid release type: ${releaseType}`);
+  }
+
+  const [period1, period2] = formatCalVerPeriod(inputs.calverFormat, now);
+  const releasedMicros = existingTags
+    .map(tag => parseVersion(tag))
+    .filter(version => !version.prerelease)
+    .filter(version => version.major === parseInt(period1) && version.minor === parseInt(period2))
+    .map(version => version.patch);
+
+  const micro = releasedMicros.length > 0 ? Math.max(...releasedMicros) + 1 : 0;
+  const baseVersion = `v${period1}.${period2}.${micro}`;
+
+  if (!isPrerelease) {
+    return baseVersion;
+  }
+
+  return nextPrereleaseVersion(baseVersion, existingTags, inputs);
+}
+
+function promotePrerelease(latestVersion, existingTags) {
+  const current = parseVersion(latestVersion);
+  if (!current.prerelease) {
+    throw new Error(`Cannot promote ${latestVersion}: the latest version is not a prerelease`);
+  }
+
+  const stableVersion = baseVersionOf(latestVersion);
+  if (existingTags.some(tag => isSameVersion(tag, stableVersion))) {
+    throw new Error(`Cannot promote ${latestVersion}: ${stableVersion} has already been released`);
+  }
+
+  core.info(`Promoting ${latestVersion} to ${stableVersion}`);
+  return stableVersion;
+}
+
+function findPrereleasesOf(stableVersion, existingTags) {
+  return existingTags
+    .filter(tag => parseVersion(tag).prerelease && isSameVersion(baseVersionOf(tag), stableVersion))
+    .sort(compareVersions);
+}
+
+// A prerelease line is continued when the requested bump is already contained in its base version,
+// e.g. a minor prerelease after v1.3.0-beta.1 stays on 1.3.0, while a major one moves to 2.0.0.
+function continuesPrereleaseLine(current, releaseType, existingTags) {
+  if (!current.prerelease) {
+    return false;
+  }
+
+  const baseVersion = formatVersion(current.major, current.minor, current.patch);
+  if (existingTags.some(tag => isSameVersion(tag, baseVersion))) {
+    return false;
+  }
 
   switch (releaseType) {
     case 'major':
-      major += 1;
-      minor = 0;
-      patch = 0;
-      break;
+      return current.minor === 0 && current.patch === 0;
     case 'minor':
-      minor += 1;
-      patch = 0;
-      break;
+      return current.patch === 0;
     case 'patch':
-      patch += 1;
-      break;
+      return true;
     default:
-      throw new Error(`Invalid release type: ${releaseType}`);
+      return false;
+  }
+}
+
+// Keeps the numeric segments exactly as written so zero-padded CalVer versions stay padded.
+function baseVersionOf(version) {
+  const match = version.match(/^v?(\d+\.\d+\.\d+)/);
+  if (match) {
+    return `v${match[1]}`;
+  }
+
+  const { major, minor, patch } = parseVersion(version);
+  return formatVersion(major, minor, patch);
+}
+
+function isSameVersion(version1, version2) {
+  return compareVersions(version1, version2) === 0;
+}
+
+function findLatestPrerelease(baseVersion, existingTags, prereleaseSuffix) {
+  let latest = null;
+  let latestNumber = -1;
+
+  for (const tag of existingTags) {
+    if (!isSameVersion(baseVersionOf(tag), baseVersion)) {
+      continue;
+    }
+
+    const existing = parseExistingPrerelease(tag);
+    if (existing && existing.suffix === prereleaseSuffix && existing.number > latestNumber) {
+      latest = tag;
+      latestNumber = existing.number;
+    }
   }
 
-  let prerelease = null;
-  if (isPrerelease) {
-    prerelease = `${inputs.prereleaseSuffix}.${inputs.prereleaseNumber}`;
+  return latest;
+}
+
+function nextPrereleaseVersion(baseVersion, existingTags, inputs) {
+  const latestPrerelease = findLatestPrerelease(baseVersion, existingTags, inputs.prereleaseSuffix);
+  if (latestPrerelease) {
+    core.info(`Found existing prerelease ${latestPrerelease}, incrementing prerelease number`);
   }
 
-  return formatVersion(major, minor, patch, prerelease);
+  return incrementPrerelease(latestPrerelease || baseVersion, inputs);
 }
 
 function updatePackageJson(packageJsonPath, newVersion) {
@@ -38,12 +211,13 @@ function updatePackageJson(packageJsonPath, newVersion) {
   }
 
   try {
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    const content = fs.readFileSync(packageJsonPath, 'utf8');
+    const versionWithoutV = stripVersionPrefix(newVersion);
 
-    const versionWithoutV = newVersion.startsWith('v') ? newVersion.slice(1) : newVersion;
-    packageJson.version = versionWithoutV;
+    const updated =
+      replaceJsonString(content, ['version'], versionWithoutV) ?? insertPackageJsonVersion(content, versionWithoutV);
 
-    fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+    fs.writeFileSync(packageJsonPath, updated);
     core.info(`✅ Updated ${packageJsonPath} version to ${versionWithoutV}`);
     return true;
   } catch (error) {
@@ -52,8 +226,13 @@ function updatePackageJson(packageJsonPath, newVersion) {
   }
 }
 
-function normalizePackageJsonVersion(version) {
-  return version.startsWith('v') ? version.slice(1) : version;
+function insertPackageJsonVersion(content, version) {
+  const packageJson = JSON.parse(content);
+  const indentation = content.match(/^[ \t]+(?=")/m)?.[0] || 2;
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const serialized = JSON.stringify({ ...packageJson, version }, null, indentation).replace(/\n/g, newline);
+
+  return /\r?\n$/.test(content) ? serialized + newline : serialized;
 }
 
 function verifyPackageJsonVersion(packageJsonPath, expectedVersion) {
@@ -63,14 +242,15 @@ function verifyPackageJsonVersion(packageJsonPath, expectedVersion) {
   }
 
   try {
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-    const actualVersion = normalizePackageJsonVersion(packageJson.version || '');
-    const expectedVersionWithoutV = normalizePackageJsonVersion(expectedVersion);
+    const content = fs.readFileSync(packageJsonPath, 'utf8');
+    const packageJson = JSON.parse(content);
+    const actualVersion = stripVersionPrefix(packageJson.version || '');
+    const expectedVersionWithoutV = stripVersionPrefix(expectedVersion);
 
     if (actualVersion !== expectedVersionWithoutV) {
-      throw new Error(
-        `Expected ${packageJsonPath} version to be ${expectedVersionWithoutV}, but found ${actualVersion || '(empty)'}`
-      );
+      const range = locateJsonString(content, ['version']);
+      const found = `${actualVersion || '(empty)'}${range ? ` (line ${lineNumberAt(content, range.start)})` : ''}`;
+      throw new Error(`Expected ${packageJsonPath} version to be ${expectedVersionWithoutV}, but found ${found}`);
     }
 
     core.info(`✅ Verified ${packageJsonPath} version matches ${expectedVersionWithoutV}`);
@@ -82,13 +262,12 @@ function verifyPackageJsonVersion(packageJsonPath, expectedVersion) {
 }
 
 function parseExistingPrerelease(version) {
-  const parts = version.split('-');
-  if (parts.length < 2) {
+  const { prerelease } = parseVersion(version);
+  if (!prerelease) {
     return null;
   }
 
-  const prereleasePart = parts[1];
-  const match = prereleasePart.match(/^(\w+)\.(\d+)$/);
+  const match = prerelease.match(/^([0-9A-Za-z.-]+)\.(\d+)$/);
 
   if (match) {
     return {
@@ -105,21 +284,79 @@ function incrementPrerelease(version, inputs) {
 
   if (existing) {
     if (existing.suffix === inputs.prereleaseSuffix) {
-      const versionBase = version.split('-')[0];
-      return `${versionBase}-${inputs.prereleaseSuffix}.${existing.number + 1}`;
+      return `${baseVersionOf(version)}-${inputs.prereleaseSuffix}.${existing.number + 1}`;
     }
   }
 
   return `${version}-${inputs.prereleaseSuffix}.${inputs.prereleaseNumber}`;
 }
 
+const NUMERIC_IDENTIFIER = '0|[1-9]\\d*';
+const PRERELEASE_IDENTIFIER = `(?:${NUMERIC_IDENTIFIER}|\\d*[a-zA-Z-][0-9a-zA-Z-]*)`;
+const SEMVER_REGEX = new RegExp(
+  `^v?(${NUMERIC_IDENTIFIER})\\.(${NUMERIC_IDENTIFIER})\\.(${NUMERIC_IDENTIFIER})` +
+  `(?:-(${PRERELEASE_IDENTIFIER}(?:\\.${PRERELEASE_IDENTIFIER})*))?` +
+  '(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$'
+);
+
+function isValidVersion(version, { allowLeadingZeros = false } = {}) {
+  const candidate = allowLeadingZeros
+    ? version.replace(/^(v?)(\d+)\.(\d+)\.(\d+)/, (match, prefix, major, minor, patch) =>
+      `${prefix}${parseInt(major)}.${parseInt(minor)}.${parseInt(patch)}`)
+    : version;
+
+  return SEMVER_REGEX.test(candidate);
+}
+
 function validateVersion(version) {
-  const versionRegex = /^v?\d+\.\d+\.\d+(-\w+\.\d+)?$/;
-  if (!versionRegex.test(version)) {
+  if (!isValidVersion(version)) {
     throw new Error(`Invalid version format: ${version}`);
   }
 }
 
+function comparePrereleaseIdentifiers(identifier1, identifier2) {
+  const isNumeric1 = /^\d+$/.test(identifier1);
+  const isNumeric2 = /^\d+$/.test(identifier2);
+
+  if (isNumeric1 && isNumeric2) {
+    return parseInt(identifier1) - parseInt(identifier2);
+  }
+  if (isNumeric1) {
+    return -1;
+  }
+  if (isNumeric2) {
+    return 1;
+  }
+  if (identifier1 === identifier2) {
+    return 0;
+  }
+
+  return identifier1 < identifier2 ? -1 : 1;
+}
+
+function comparePrereleases(prerelease1, prerelease2) {
+  const identifiers1 = prerelease1.split('.');
+  const identifiers2 = prerelease2.split('.');
+  const length = Math.max(identifiers1.length, identifiers2.length);
+
+  for (let i = 0; i < length; i++) {
+    if (identifiers1[i] === undefined) {
+      return -1;
+    }
+    if (identifiers2[i] === undefined) {
+      return 1;
+    }
+
+    const result = comparePrereleaseIdentifiers(identifiers1[i], identifiers2[i]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+
+  return 0;
+}
+
+// Build metadata is preserved by parseVersion but never affects precedence.
 function compareVersions(version1, version2) {
   const v1 = parseVersion(version1);
   const v2 = parseVersion(version2);
@@ -135,7 +372,7 @@ function compareVersions(version1, version2) {
   }
 
   if (v1.prerelease && v2.prerelease) {
-    return v1.prerelease.localeCompare(v2.prerelease);
+    return comparePrereleases(v1.prerelease, v2.prerelease);
   } else if (v1.prerelease) {
     return -1;
   } else if (v2.prerelease) {
@@ -145,12 +382,20 @@ function compareVersions(version1, version2) {
   return 0;
 }
 
+function sortVersionsDescending(versions) {
+  return [...versions].sort((version1, version2) => compareVersions(version2, version1));
+}
+
 module.exports = {
   calculateVersion,
+  nextPrereleaseVersion,
+  findPrereleasesOf,
   updatePackageJson,
   verifyPackageJsonVersion,
   parseExistingPrerelease,
   incrementPrerelease,
+  isValidVersion,
   validateVersion,
-  compareVersions
+  compareVersions,
+  sortVersionsDescending
 };